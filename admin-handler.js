@@ -3,6 +3,9 @@ require('dotenv').config();
 
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { refundPurchase } = require('./token-purchases');
+const { changeTokenBalance, decodeLedgerCursor, getLedgerEntries, reconcileUserBalance } = require('./token-ledger');
+const { writeAuditLog } = require('./request-identity');
 
 // Configure AWS SDK
 const awsConfig = {
@@ -221,14 +224,18 @@ async function getUserDetails(userId) {
       attributes[attr.Name] = attr.Value;
     });
     
-    // Get token balance
+    // Get token balance and refund history
     let tokenBalance = 0;
+    let refundCount = 0;
+    let refundFlagged = false;
     try {
       const tokenResult = await dynamodb.get({
         TableName: TOKENS_TABLE,
         Key: { userId: userId },
       }).promise();
       tokenBalance = tokenResult.Item?.balance || 0;
+      refundCount = tokenResult.Item?.refundCount || 0;
+      refundFlagged = !!tokenResult.Item?.refundFlagged;
     } catch (error) {
       console.error('Error getting token balance:', error);
     }
@@ -262,7 +269,7 @@ async function getUserDetails(userId) {
         },
       }).promise();
       purchaseCount = purchaseResult.Items?.length || 0;
-      totalSpent = purchaseResult.Items?.reduce((sum, item) => sum + (item.price || 0), 0) || 0;
+      totalSpent = purchaseResult.Items?.reduce((sum, item) => sum + (item.status === 'refunded' ? 0 : (item.price || 0)), 0) || 0;
     } catch (error) {
       console.error('Error getting purchase count:', error);
     }
@@ -279,6 +286,8 @@ async function getUserDetails(userId) {
       scanCount: scanCount,
       purchaseCount: purchaseCount,
       totalSpent: totalSpent,
+      refundCount: refundCount,
+      refundFlagged: refundFlagged,
     };
   } catch (error) {
     if (error.code === 'UserNotFoundException') {
@@ -358,27 +367,17 @@ async function deleteUser(userId) {
 /**
  * Add tokens to user
  */
-async function addTokensToUser(userId, amount) {
+async function addTokensToUser(userId, amount, actorId = null) {
   try {
-    const result = await dynamodb.update({
-      TableName: TOKENS_TABLE,
-      Key: { userId: userId },
-      UpdateExpression: 'SET #balance = if_not_exists(#balance, :zero) + :amount, #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#balance': 'balance',
-        '#updatedAt': 'updatedAt',
-      },
-      ExpressionAttributeValues: {
-        ':zero': 0,
-        ':amount': amount,
-        ':now': new Date().toISOString(),
-      },
-      ReturnValues: 'ALL_NEW',
-    }).promise();
+    const { balance } = await changeTokenBalance(userId, amount, {
+      reason: 'admin_grant',
+      source: 'admin',
+      actorId: actorId,
+    });
     
     return {
       success: true,
-      tokenBalance: result.Attributes.balance,
+      tokenBalance: balance,
       tokensAdded: amount,
     };
   } catch (error) {
@@ -389,27 +388,19 @@ async function addTokensToUser(userId, amount) {
 
 /**
  * Set token balance (override)
+ * Recorded in the ledger as the difference from the current balance.
  */
-async function setTokenBalance(userId, balance) {
+async function setTokenBalance(userId, balance, actorId = null) {
   try {
-    const result = await dynamodb.update({
-      TableName: TOKENS_TABLE,
-      Key: { userId: userId },
-      UpdateExpression: 'SET #balance = :balance, #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#balance': 'balance',
-        '#updatedAt': 'updatedAt',
-      },
-      ExpressionAttributeValues: {
-        ':balance': balance,
-        ':now': new Date().toISOString(),
-      },
-      ReturnValues: 'ALL_NEW',
-    }).promise();
+    const result = await changeTokenBalance(userId, (currentBalance) => balance - currentBalance, {
+      reason: 'admin_set_balance',
+      source: 'admin',
+      actorId: actorId,
+    });
     
     return {
       success: true,
-      tokenBalance: result.Attributes.balance,
+      tokenBalance: result.balance,
     };
   } catch (error) {
     console.error('Error setting token balance:', error);
@@ -572,10 +563,20 @@ async function getUserPurchases(userId, limit = 50, lastEvaluatedKey = null) {
   
   try {
     const result = await dynamodb.query(params).promise();
+    const tokenResult = await dynamodb.get({
+      TableName: TOKENS_TABLE,
+      Key: { userId: userId },
+    }).promise();
+
     return {
       purchases: result.Items || [],
       lastEvaluatedKey: result.LastEvaluatedKey || null,
       count: result.Count || 0,
+      refunds: {
+        refundCount: tokenResult.Item?.refundCount || 0,
+        refundFlagged: !!tokenResult.Item?.refundFlagged,
+        refundFlaggedAt: tokenResult.Item?.refundFlaggedAt || null,
+      },
     };
   } catch (error) {
     console.error('Error getting user purchases:', error);
@@ -681,8 +682,8 @@ exports.handler = async (event) => {
       };
     }
     
-    // User management endpoints
-    if (path.includes('/admin/users') && method === 'GET') {
+    // User management endpoints (sub-resources such as /tokens or /purchases are routed below)
+    if (path.includes('/admin/users') && method === 'GET' && !/\/admin\/users\/[^\/]+\/./.test(path)) {
       // Check if it's a specific user
       const userIdMatch = path.match(/\/admin\/users\/([^\/]+)$/);
       if (userIdMatch) {
@@ -815,7 +816,7 @@ exports.handler = async (event) => {
         };
       }
       
-      const result = await addTokensToUser(userId, amount);
+      const result = await addTokensToUser(userId, amount, adminInfo.userId);
       return {
         statusCode: 200,
         headers,
@@ -853,7 +854,7 @@ exports.handler = async (event) => {
         };
       }
       
-      const result = await setTokenBalance(userId, balance);
+      const result = await setTokenBalance(userId, balance, adminInfo.userId);
       return {
         statusCode: 200,
         headers,
@@ -864,6 +865,50 @@ exports.handler = async (event) => {
       };
     }
     
+    if (path.includes('/admin/users') && path.includes('/ledger') && method === 'GET') {
+      const userIdMatch = path.match(/\/admin\/users\/([^\/]+)\/ledger/);
+      if (!userIdMatch) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'User ID required',
+          }),
+        };
+      }
+      
+      const userId = userIdMatch[1];
+      const limit = parseInt(queryParams.limit || '50', 10);
+      const lastEvaluatedKey = queryParams.cursor ? decodeLedgerCursor(queryParams.cursor, userId) : null;
+      if (queryParams.cursor && !lastEvaluatedKey) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Invalid cursor. Use nextCursor from a previous response.',
+          }),
+        };
+      }
+      
+      const result = await getLedgerEntries(userId, limit, lastEvaluatedKey);
+      // Recomputing walks the user's whole ledger, so only on request
+      const reconciliation = queryParams.reconcile === 'true'
+        ? await reconcileUserBalance(userId)
+        : null;
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          ...result,
+          reconciliation: reconciliation,
+        }),
+      };
+    }
+    
     // Analytics endpoints
     if (path.includes('/admin/analytics/dashboard') && method === 'GET') {
       const analytics = await getDashboardAnalytics();
@@ -956,6 +1001,66 @@ exports.handler = async (event) => {
       };
     }
     
+    if (path.includes('/admin/users') && path.includes('/refund') && method === 'POST') {
+      const refundMatch = path.match(/\/admin\/users\/([^\/]+)\/purchases\/([^\/]+)\/refund/);
+      if (!refundMatch) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'User ID and purchase ID required',
+          }),
+        };
+      }
+
+      const userId = refundMatch[1];
+      const purchaseId = decodeURIComponent(refundMatch[2]);
+
+      const purchaseResult = await dynamodb.get({
+        TableName: PURCHASES_TABLE,
+        Key: { purchaseId: purchaseId },
+      }).promise();
+      if (!purchaseResult.Item || purchaseResult.Item.userId !== userId) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Purchase not found',
+          }),
+        };
+      }
+
+      const result = await refundPurchase(purchaseId, {
+        source: 'admin',
+        reason: body.reason || null,
+        actorId: adminInfo.userId,
+      });
+
+      if (!result.alreadyRefunded) {
+        await writeAuditLog(adminInfo.userId, 'purchase_refund', {
+          targetUserId: userId,
+          purchaseId: purchaseId,
+          reason: body.reason || null,
+          tokensDebited: result.tokensDebited,
+          tokensUnrecovered: result.tokensUnrecovered,
+          resultingBalance: result.tokenBalance,
+          requestId: event.requestContext?.requestId || null,
+        });
+      }
+
+      return {
+        statusCode: result.alreadyRefunded ? 409 : 200,
+        headers,
+        body: JSON.stringify({
+          success: !result.alreadyRefunded,
+          ...(result.alreadyRefunded ? { error: 'Purchase was already refunded' } : {}),
+          ...result,
+        }),
+      };
+    }
+
     if (path.includes('/admin/purchases') && method === 'GET' && !path.includes('/users/')) {
       const limit = parseInt(queryParams.limit || '50', 10);
       const lastEvaluatedKey = queryParams.lastEvaluatedKey 
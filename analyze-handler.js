@@ -0,0 +1,11 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { runAnalysis } = require('./analyze-pipeline');
+
+/**
+ * POST /analyze
+ * Scans an image with the provider named by ?provider= or the body's "provider"
+ * field, falling back to ANALYZE_DEFAULT_PROVIDER (sightengine).
+ */
+exports.handler = async (event, context) => runAnalysis(event, context);
@@ -0,0 +1,1310 @@
+/**
+ * Analyze Pipeline
+ * The one scan flow behind /analyze and its compatibility routes:
+ * auth -> token reservation -> device limit -> S3 upload -> result cache or provider detect (with failover) -> commit -> scan record.
+ * Async scans (?async=true) stop after the S3 upload and queue a job; the worker runs the rest (runScanJob).
+ * Vendor specifics live in ./providers; this module never talks to a vendor directly.
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { isDeviceExhausted, hasUserPurchased, incrementDeviceScanCount, getDeviceScanCount, getDeviceFreeScanLimit } = require('./device-scan-helpers');
+const { getVerifiedUserId } = require('./cognito-jwt-verifier');
+const { reserveTokens, commitReservation, releaseReservation, guardReservation, clearTimeoutGuard } = require('./token-reservations');
+const { getBalanceRecord } = require('./token-ledger');
+const { getProvider, listProviderNames, detectWithFailover } = require('./providers');
+const { getContentHash, getPerceptualHash } = require('./image-fingerprint');
+const { lookupCachedResult, storeCachedResult, shouldChargeCacheHits } = require('./result-cache');
+const { verifyUpload, getUploadedImage } = require('./image-uploads');
+const { validateImage } = require('./image-format');
+const { normalizeImage } = require('./image-normalizer');
+const { fetchImage } = require('./image-fetcher');
+const { analyzeProvenance, applyProvenance } = require('./image-provenance');
+const { assessImageQuality, applyImageQuality } = require('./image-quality');
+const { findRecentUrlScan, recordUrlScan } = require('./url-scans');
+const { withIndexKeys } = require('./scan-history-index');
+const { getScanJobHoldMs, parseNotifyOptions, createScanJob, startScanJob, claimScanJob, finishScanJob, notifyScanJobComplete } = require('./scan-jobs');
+
+// Configure AWS SDK with environment variables
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+// Only set credentials if provided AND we're running locally (not in Lambda)
+// In Lambda, we should use the IAM role, not static credentials
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const s3 = new AWS.S3();
+const ssm = new AWS.SSM();
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const S3_BUCKET_PARAM = process.env.S3_BUCKET_PARAM_NAME || '/catfish/s3-bucket-name';
+// Images whose shorter side is below this many pixels are answered unverifiable without a scan
+const MIN_IMAGE_DIMENSION = parseInt(process.env.MIN_IMAGE_DIMENSION || '200', 10);
+
+// Cache for configuration to avoid repeated API calls
+let cachedConfig = {
+  s3Bucket: null,
+};
+
+/**
+ * Get parameter from AWS SSM Parameter Store
+ */
+async function getSSMParameter(paramName) {
+  try {
+    const data = await ssm.getParameter({ Name: paramName, WithDecryption: true }).promise();
+    return data.Parameter.Value;
+  } catch (error) {
+    if (error.code === 'ParameterNotFound') {
+      console.warn(`Parameter ${paramName} not found in SSM, falling back to environment variable`);
+      return null;
+    }
+    if (error.code === 'InvalidUserID.NotFound' || error.code === 'InvalidClientTokenId' || error.message.includes('security token')) {
+      console.error(`AWS authentication error accessing SSM Parameter Store. Check Lambda IAM role permissions. Error: ${error.message}`);
+      // Fall back to environment variable instead of failing
+      console.warn(`Falling back to environment variable for parameter: ${paramName}`);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Initialize configuration from AWS services or environment variables
+ */
+async function initializeConfig() {
+  // Try to get S3 bucket name from SSM or environment
+  if (!cachedConfig.s3Bucket) {
+    cachedConfig.s3Bucket = await getSSMParameter(S3_BUCKET_PARAM) ||
+                            process.env.S3_BUCKET_NAME;
+  }
+
+  return {
+    s3Bucket: cachedConfig.s3Bucket,
+  };
+}
+
+/**
+ * CORS headers - allow device ID header
+ */
+function getCorsHeaders() {
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Device-ID,Device-ID',
+    'Access-Control-Allow-Methods': 'POST,OPTIONS',
+    'Content-Type': 'application/json',
+  };
+}
+
+/**
+ * Build the body of an error response
+ */
+function errorBody(error, extra = {}) {
+  return {
+    success: false,
+    error: error,
+    ...extra,
+  };
+}
+
+/**
+ * Build a JSON error response
+ */
+function errorResponse(statusCode, error, extra = {}) {
+  return {
+    statusCode,
+    headers: getCorsHeaders(),
+    body: JSON.stringify(errorBody(error, extra)),
+  };
+}
+
+/**
+ * Parse base64 image data
+ * The format comes from the image's magic bytes; a data-URL MIME type only has to agree with it.
+ * Throws an Error with an errorCode (see image-format.js, plus IMAGE_TOO_LARGE) when the payload
+ * is not a usable image.
+ */
+function parseBase64Image(base64String) {
+  // Remove data URL prefix if present (e.g., "data:image/jpeg;base64,")
+  const matches = base64String.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
+  const declaredType = matches && matches.length === 3 ? matches[1] : null;
+  const data = Buffer.from(declaredType ? matches[2] : base64String, 'base64');
+
+  // Validate image size (max 20MB)
+  const MAX_IMAGE_SIZE = 20 * 1024 * 1024; // 20MB
+  const imageSizeMB = (data.length / (1024 * 1024)).toFixed(2);
+
+  if (data.length > MAX_IMAGE_SIZE) {
+    throw Object.assign(new Error(`Image too large: ${imageSizeMB}MB. Maximum size is 20MB. Please compress or resize the image.`), {
+      errorCode: 'IMAGE_TOO_LARGE',
+    });
+  }
+
+  const image = validateImage(data, declaredType);
+
+  console.log(`Image parsed - Type: ${image.contentType}, Size: ${imageSizeMB}MB, Dimensions: ${image.width}x${image.height}`);
+
+  // Warn if image is very large (over 10MB)
+  if (data.length > 10 * 1024 * 1024) {
+    console.warn(`Warning: Large image detected (${imageSizeMB}MB). Consider compressing before upload.`);
+  }
+
+  return {
+    contentType: image.contentType,
+    data,
+    extension: image.extension,
+    format: image.format,
+    width: image.width,
+    height: image.height,
+    size: data.length,
+    sizeMB: parseFloat(imageSizeMB),
+  };
+}
+
+/**
+ * Normalized analysis for an image below MIN_IMAGE_DIMENSION
+ * Same shape as a provider result, so clients render it like any unverifiable scan.
+ */
+function buildLowResolutionAnalysis(imageData, providerName) {
+  return {
+    status: 'unverifiable',
+    iconType: 'info',
+    primaryMessage: 'Image resolution too low to verify authenticity. Please scan a larger version of this photo.',
+    confidence: null,
+    deepfakeScore: null,
+    aiScore: null,
+    metadata: {
+      detectionAlgorithm: 'Pre-scan validation',
+      processingTime: '0.0s',
+      imageQuality: `Low Resolution (${imageData.width}x${imageData.height})`,
+    },
+    // Backward compatibility fields for mobile app
+    ai_generated: false,
+    score: null,
+    source: 'Pre-scan validation',
+    provider: providerName,
+    vendorRequestId: null,
+    rawResponse: null,
+    reason: 'low_resolution',
+  };
+}
+
+/**
+ * Upload image to S3 and return the public URL
+ * Originals go under images/, normalized copies sent to providers under images/normalized/.
+ */
+async function uploadToS3(imageBuffer, contentType, extension, bucketName, prefix = 'images') {
+  // Generate deterministic key based on image hash to prevent duplicate uploads
+  // If same image is uploaded multiple times, it will use the same S3 key
+  const imageHash = getContentHash(imageBuffer);
+  const key = `${prefix}/${imageHash.substring(0, 16)}.${extension}`;
+
+  // Check if object already exists in S3 (idempotent upload)
+  try {
+    await s3.headObject({ Bucket: bucketName, Key: key }).promise();
+    console.log(`Image already exists in S3 with key: ${key}, skipping upload`);
+  } catch (error) {
+    if (error.code === 'NotFound') {
+      // Object doesn't exist, upload it
+      const params = {
+        Bucket: bucketName,
+        Key: key,
+        Body: imageBuffer,
+        ContentType: contentType,
+        // ACL removed - bucket policy handles public access
+        CacheControl: 'max-age=3600', // Cache for 1 hour
+      };
+
+      console.log(`Uploading to S3: bucket=${bucketName}, key=${key}, size=${(imageBuffer.length / 1024).toFixed(2)}KB`);
+      await s3.putObject(params).promise();
+      console.log('S3 upload completed');
+    } else {
+      throw error;
+    }
+  }
+
+  // Return the public URL using regional endpoint format
+  const region = AWS.config.region || 'us-east-1';
+  const url = region === 'us-east-1'
+    ? `https://${bucketName}.s3.amazonaws.com/${key}`
+    : `https://${bucketName}.s3.${region}.amazonaws.com/${key}`;
+
+  // Wait a moment for S3 to propagate
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  return url;
+}
+
+/**
+ * Normalize an image to one provider's requirements and store the copy next to the original
+ * @param {Object} imageData - Validated image (parseBase64Image, or an upload)
+ * @param {Object} requirements - Provider imageRequirements
+ * @param {Object} options - { s3Url, bucketName }: where the original is stored
+ * @returns {Promise<Object>} { imageBuffer, contentType, url, normalizedImage } for the provider;
+ *                            normalizedImage is null when the original is sent as is
+ */
+async function prepareImage(imageData, requirements, { s3Url, bucketName }) {
+  const normalized = await normalizeImage(imageData, requirements);
+  if (!normalized) {
+    return { imageBuffer: imageData.data, contentType: imageData.contentType, url: s3Url, normalizedImage: null };
+  }
+
+  let url = null;
+  if (s3Url) {
+    try {
+      url = await uploadToS3(normalized.data, normalized.contentType, normalized.extension, bucketName, 'images/normalized');
+    } catch (error) {
+      // Providers that take the bytes do not need it; URL-only ones fail on the missing URL
+      console.warn(`Could not store the normalized image: ${error.message}`);
+    }
+  }
+
+  return {
+    imageBuffer: normalized.data,
+    contentType: normalized.contentType,
+    url: url,
+    normalizedImage: {
+      contentHash: getContentHash(normalized.data),
+      contentType: normalized.contentType,
+      width: normalized.width,
+      height: normalized.height,
+      transcoded: normalized.transcoded,
+      resized: normalized.resized,
+      s3Url: url,
+    },
+  };
+}
+
+/**
+ * Build the detect() input.prepareImage hook for an uploaded image
+ * Providers with the same requirements (ensemble members, failover targets) share one copy.
+ */
+function createImagePreparer(imageData, options) {
+  const prepared = new Map();
+  return (requirements) => {
+    const key = JSON.stringify(requirements);
+    if (!prepared.has(key)) {
+      prepared.set(key, prepareImage(imageData, requirements, options));
+    }
+    return prepared.get(key);
+  };
+}
+
+/**
+ * Extract device information from API Gateway event
+ */
+function extractDeviceInfo(event) {
+  const requestHeaders = event.headers || {};
+  const requestContext = event.requestContext || {};
+
+  // Extract device ID from headers (preferred) or request body
+  // Common header names: X-Device-ID, Device-ID, X-Device-Id
+  const deviceId =
+    requestHeaders['X-Device-ID'] ||
+    requestHeaders['x-device-id'] ||
+    requestHeaders['Device-ID'] ||
+    requestHeaders['device-id'] ||
+    null;
+
+  return {
+    deviceId: deviceId,
+    ipAddress: requestContext.identity?.sourceIp ||
+               requestHeaders['X-Forwarded-For']?.split(',')[0]?.trim() ||
+               requestHeaders['x-forwarded-for']?.split(',')[0]?.trim() ||
+               'unknown',
+    userAgent: requestHeaders['User-Agent'] ||
+               requestHeaders['user-agent'] ||
+               'unknown',
+    requestId: requestContext.requestId || 'unknown',
+    timestamp: new Date().toISOString(),
+    // API Gateway context information
+    apiKeyId: requestContext.identity?.apiKeyId || null,
+    accountId: requestContext.accountId || null,
+  };
+}
+
+/**
+ * Extract token from request headers
+ */
+function extractToken(event) {
+  const requestHeaders = event.headers || {};
+  const authHeader = requestHeaders.Authorization || requestHeaders.authorization;
+
+  if (!authHeader) {
+    return null;
+  }
+
+  // Remove 'Bearer ' prefix if present
+  const token = authHeader.replace(/^Bearer\s+/i, '').trim();
+  return token || null;
+}
+
+/**
+ * Extract user ID from request (verified Authorization header only)
+ */
+async function extractUserId(event) {
+  const token = extractToken(event);
+  if (!token) {
+    return null;
+  }
+
+  const userId = await getVerifiedUserId(token);
+  if (userId) {
+    console.log('✅ Verified Cognito token for user:', userId);
+  }
+  return userId;
+}
+
+/**
+ * Get current month key (YYYY-MM format)
+ */
+function getCurrentMonthKey() {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  return `${year}-${month}`;
+}
+
+/**
+ * Save the scan record to DynamoDB
+ * Written by the server when a scan is answered, so a user's history holds the verdict the
+ * provider gave and the thresholds it was judged against, never values sent by the client.
+ * Records are visible by default; POST /scan-history can only hide or label them.
+ * One record per request: a retried write for the same requestId keeps the first one.
+ * @param {string} userId - Cognito user ID
+ * @param {Object} scanData - Record fields (see buildScanRecord)
+ * @returns {Promise<Object>} The stored item
+ */
+async function saveScanHistory(userId, scanData) {
+  if (!userId) {
+    console.warn('Cannot save scan history: userId is missing');
+    return;
+  }
+
+  const monthKey = getCurrentMonthKey();
+  const tableName = process.env.SCAN_HISTORY_TABLE ||
+                    `${process.env.SERVICE_NAME || 'image-analysis'}-${process.env.STAGE || 'dev'}-scan-history`;
+
+  const scanId = scanData.requestId ? `${userId}-${scanData.requestId}` : `${Date.now()}-${uuidv4()}`;
+
+  // Calculate TTL (expires after 1 year)
+  const expiresAt = Math.floor(Date.now() / 1000) + (365 * 24 * 60 * 60);
+  const now = new Date().toISOString();
+
+  const historyItem = {
+    userId: userId,
+    scanId: scanId,
+    monthKey: monthKey,
+    timestamp: now,
+    success: scanData.success || false,
+    status: scanData.status || 'unknown',
+    confidence: scanData.confidence ?? null,
+    // The provider's score before thresholds were applied, and the thresholds that gave the verdict
+    rawScore: scanData.rawScore ?? null,
+    thresholds: scanData.thresholds || null,
+    // 'provider', or 'provenance' when an AI generator signature in the file decided it
+    verdictSource: scanData.verdictSource || null,
+    deepfakeScore: scanData.deepfakeScore ?? null,
+    aiProbability: scanData.aiProbability ?? null,
+    humanProbability: scanData.humanProbability ?? null,
+    vendorRequestId: scanData.vendorRequestId || null,
+    sightengineRequestId: scanData.provider === 'sightengine' ? scanData.vendorRequestId || null : null,
+    gowinstonRequestId: scanData.provider === 'gowinston' ? scanData.vendorRequestId || null : null,
+    s3Url: scanData.s3Url || null,
+    requestId: scanData.requestId || null,
+    source: scanData.source || null,
+    provider: scanData.provider || null,
+    requestedProvider: scanData.requestedProvider || null,
+    cached: scanData.cached || false,
+    contentHash: scanData.contentHash || null,
+    normalizedHash: scanData.normalizedHash || null,
+    sourceUrl: scanData.sourceUrl || null,
+    // Written by the analysis itself (older rows were posted by clients)
+    origin: 'analysis',
+    visible: true,
+    label: null,
+    note: null,
+    createdAt: now,
+    expiresAt: expiresAt, // TTL for automatic cleanup
+  };
+
+  console.log(`Saving scan history - UserId: ${userId}, ScanId: ${scanId}, RequestId: ${scanData.requestId}, S3Url: ${scanData.s3Url}, TableName: ${tableName}`);
+
+  try {
+    // Use conditional put to prevent duplicates atomically
+    // This will fail if an item with the same userId+scanId already exists
+    await dynamodb.put({
+      TableName: tableName,
+      Item: withIndexKeys(historyItem),
+      ConditionExpression: 'attribute_not_exists(userId) AND attribute_not_exists(scanId)',
+    }).promise();
+
+    console.log(`✅ Scan history saved successfully for user: ${userId}, scan: ${scanId}`);
+    return historyItem;
+  } catch (error) {
+    // If conditional put fails due to item already existing, that's okay - it's a duplicate
+    if (error.code === 'ConditionalCheckFailedException') {
+      console.log(`⚠️ Scan with scanId ${scanId} already exists for user ${userId}. Skipping duplicate save.`);
+      // Try to get the existing item
+      try {
+        const existing = await dynamodb.get({
+          TableName: tableName,
+          Key: { userId: userId, scanId: scanId },
+        }).promise();
+        if (existing.Item) {
+          return existing.Item;
+        }
+      } catch (getError) {
+        console.warn('Could not retrieve existing scan:', getError.message);
+      }
+      return historyItem; // Return the item we tried to save
+    }
+
+    console.error('❌ Error saving scan history:', {
+      error: error.message,
+      code: error.code,
+      statusCode: error.statusCode,
+      userId: userId,
+      tableName: tableName,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get token balance for user
+ */
+async function getTokenBalance(userId) {
+  try {
+    const { balance } = await getBalanceRecord(userId);
+    return balance;
+  } catch (error) {
+    console.error('❌ Error getting token balance:', {
+      error: error.message,
+      code: error.code,
+      userId: userId,
+    });
+    return 0; // Return 0 on error to be safe
+  }
+}
+
+/**
+ * Log request for analytics/tracking
+ */
+async function logRequest(deviceInfo, success = true, service = 'image-analysis', provider = null) {
+  const logData = {
+    ...deviceInfo,
+    success,
+    service,
+    provider,
+  };
+
+  // Log to CloudWatch
+  console.log('REQUEST_TRACKING:', JSON.stringify(logData));
+
+  // Write to DynamoDB for persistent tracking
+  const tableName = `${process.env.SERVICE_NAME || 'image-analysis'}-${process.env.STAGE || 'dev'}-requests`;
+  const deviceId = deviceInfo.deviceId || 'unknown';
+
+  try {
+    // Store individual request with unique timestamp
+    await dynamodb.put({
+      TableName: tableName,
+      Item: {
+        deviceId: deviceId,
+        timestamp: deviceInfo.timestamp,
+        ipAddress: deviceInfo.ipAddress,
+        userAgent: deviceInfo.userAgent,
+        requestId: deviceInfo.requestId,
+        success: success,
+        service: service,
+        provider: provider,
+      },
+    }).promise();
+
+    console.log(`Request logged for device: ${deviceId} at ${deviceInfo.timestamp}`);
+  } catch (error) {
+    // Don't fail the request if tracking fails
+    console.error('Error logging request to DynamoDB:', error);
+  }
+
+  return logData;
+}
+
+/**
+ * Pick the provider name for a request
+ * A pinned provider (compatibility routes) wins, then ?provider=, then the body, then config.
+ */
+function resolveProviderName(event, body, pinnedProvider) {
+  if (pinnedProvider) {
+    return pinnedProvider;
+  }
+  const query = event.queryStringParameters || {};
+  return query.provider || body.provider || null;
+}
+
+/**
+ * Whether the caller asked for an asynchronous scan (?async=true or "async": true)
+ */
+function isAsyncRequest(event, body) {
+  const query = event.queryStringParameters || {};
+  return query.async === 'true' || body.async === true;
+}
+
+/**
+ * Response for a URL the user already scanned within the dedupe window
+ * The earlier result is returned as it was, without a token, under this request's ID.
+ * @param {Object} previous - Result of findRecentUrlScan
+ * @param {Object} options - { tokenBalance, requestId }
+ * @returns {Object} Response body
+ */
+function buildDuplicateUrlScanBody(previous, { tokenBalance, requestId }) {
+  return {
+    ...previous.body,
+    duplicate: true,
+    duplicateMatch: previous.match,
+    duplicateOf: {
+      requestId: previous.body.requestId || null,
+      scannedAt: previous.scannedAt,
+    },
+    tokenCharged: false,
+    tokenBalance: tokenBalance,
+    scansRemaining: tokenBalance,
+    requestId: requestId,
+  };
+}
+
+/**
+ * Write the scan record for a successful scan response
+ * A failed write is logged rather than returned: the user still gets their result.
+ * @param {string} userId - Cognito user ID
+ * @param {Object} body - Response body (completeScan, or the low-resolution answer)
+ * @param {Object} options - { service, thresholds, verdictSource }; thresholds are the
+ *                           answering provider's, verdictSource defaults to 'provider'
+ * @returns {Promise<string|null>} scanId of the record
+ */
+async function recordScan(userId, body, { service, thresholds = null, verdictSource = 'provider' }) {
+  const analysis = body.analysis;
+  try {
+    const item = await saveScanHistory(userId, {
+      success: true,
+      status: analysis.status,
+      confidence: analysis.confidence,
+      rawScore: analysis.score,
+      thresholds: thresholds,
+      verdictSource: analysis.verdictSource || verdictSource,
+      deepfakeScore: analysis.deepfakeScore,
+      aiProbability: analysis.aiProbability,
+      humanProbability: analysis.humanProbability,
+      vendorRequestId: analysis.vendorRequestId,
+      s3Url: body.s3Url,
+      requestId: body.requestId,
+      source: service,
+      provider: body.provider,
+      requestedProvider: body.requestedProvider,
+      cached: body.cached,
+      contentHash: body.contentHash,
+      normalizedHash: body.normalizedHash,
+      sourceUrl: body.sourceUrl,
+    });
+    return item ? item.scanId : null;
+  } catch (error) {
+    console.error('❌ Failed to save scan record:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Detect, settle the token and build the client response body
+ * Shared by the synchronous /analyze path and the async job worker.
+ * @param {Object} scan - { provider, input, fingerprints, s3Url, sourceUrl, reservation, userId, deviceId, deviceInfo, service }
+ *                        sourceUrl is the caller's URL for URL scans
+ * @param {Object} context - Lambda context (gives the detection deadline)
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+async function completeScan(scan, context) {
+  const { provider, input, fingerprints, s3Url, sourceUrl, reservation, userId, deviceId, deviceInfo, service } = scan;
+  const requestedProvider = provider.name;
+  let providerName = requestedProvider;
+  let tokenBalance = reservation.balance;
+
+  // Serve a cached result for this image (or a resized/recompressed copy of it) if there is one
+  const cached = fingerprints ? await lookupCachedResult(provider, fingerprints) : null;
+  let formalizedResponse;
+  let attempts = [];
+
+  if (cached) {
+    formalizedResponse = cached.analysis;
+  } else {
+    // Run the detection, failing over to another provider if this one is unavailable
+    console.log(`Calling ${providerName} provider...`);
+    const deadline = context && typeof context.getRemainingTimeInMillis === 'function'
+      ? Date.now() + context.getRemainingTimeInMillis()
+      : null;
+    try {
+      const result = await detectWithFailover(provider, input, { deadline });
+      formalizedResponse = result.analysis;
+      attempts = result.attempts;
+      providerName = result.answeredBy;
+      if (providerName !== requestedProvider) {
+        console.warn(`⚠️ ${requestedProvider} unavailable, answered by ${providerName}`);
+      }
+    } catch (error) {
+      console.error(`${providerName} provider error:`, error.message);
+
+      // Log failed request (async, don't wait)
+      logRequest(deviceInfo, false, service, providerName).catch(err =>
+        console.error('Failed to log request:', err)
+      );
+
+      return {
+        statusCode: error.statusCode || 500,
+        body: errorBody(error.message, {
+          ...(error.errorCode && { errorCode: error.errorCode }),
+          requestId: deviceInfo.requestId,
+          ...(error.details && { details: error.details }),
+        }),
+      };
+    }
+
+    if (fingerprints) {
+      await storeCachedResult(getProvider(providerName), fingerprints, formalizedResponse, { s3Url: s3Url });
+    }
+  }
+
+  // This image's own quality and metadata, read from the uploaded original rather than a
+  // re-encoded copy. Applied after caching: a perceptual cache hit may be a copy of another
+  // size, compression or metadata, so neither is ever stored with the cached analysis.
+  formalizedResponse = applyImageQuality(formalizedResponse, input.quality);
+  if (input.imageBuffer) {
+    formalizedResponse = applyProvenance(formalizedResponse, await analyzeProvenance(input.imageBuffer));
+  }
+  console.log('Formalized response:', JSON.stringify(formalizedResponse, null, 2));
+
+  // === Post-scan tracking: Commit token and increment device counter ===
+  // These happen AFTER a successful scan. A cached answer is only charged when
+  // RESULT_CACHE_CHARGE_HITS is on; otherwise its token is given back.
+  const tokenCharged = !cached || shouldChargeCacheHits();
+
+  if (tokenCharged) {
+    // Commit the reserved token now that the scan succeeded
+    console.log('=== Committing Token Reservation ===');
+    try {
+      await commitReservation(reservation, { s3Url: s3Url });
+    } catch (err) {
+      // The token stays debited; the sweeper skips anything that is not held
+      console.error('❌ Failed to commit token reservation:', {
+        error: err.message,
+        code: err.code,
+        reservationId: reservation.reservationId,
+        userId: userId,
+      });
+    }
+  } else {
+    console.log('=== Releasing Token Reservation (cached result) ===');
+    try {
+      await releaseReservation(reservation, 'cache_hit');
+      tokenBalance = reservation.balance;
+    } catch (err) {
+      // Left held, the sweeper gives it back
+      console.error('❌ Failed to release token reservation for cached result:', {
+        error: err.message,
+        code: err.code,
+        reservationId: reservation.reservationId,
+        userId: userId,
+      });
+    }
+  }
+
+  // Increment device scan counter after a charged scan (for free-tier tracking)
+  if (deviceId && tokenCharged) {
+    try {
+      await incrementDeviceScanCount(deviceId, userId);
+      console.log(`✅ Device scan counter incremented for device: ${deviceId}`);
+    } catch (err) {
+      console.error('❌ Failed to increment device scan counter:', err);
+    }
+  }
+
+  // Log successful request (async, don't wait)
+  logRequest(deviceInfo, true, service, providerName).catch(err =>
+    console.error('Failed to log request:', err)
+  );
+
+  // Cached analyses carry no normalized copy: this scan sent the provider nothing
+  const normalizedImage = formalizedResponse.normalizedImage || null;
+
+  const body = {
+    success: true,
+    s3Url: s3Url,
+    // The URL the caller asked to scan (URL scans only)
+    sourceUrl: sourceUrl || null,
+    // The provider that actually answered, which differs from the requested one after a failover
+    provider: providerName,
+    requestedProvider: requestedProvider,
+    failover: providerName !== requestedProvider,
+    providerAttempts: attempts,
+    analysis: formalizedResponse,
+    // Served from the result cache instead of calling the provider
+    cached: !!cached,
+    ...(cached && {
+      cacheMatch: cached.match,
+      cachedAt: cached.cachedAt,
+    }),
+    tokenCharged: tokenCharged,
+    // Hashes of the uploaded original and of the copy the provider was sent, for the scan record
+    contentHash: fingerprints ? fingerprints.contentHash : null,
+    normalizedHash: normalizedImage ? normalizedImage.contentHash : null,
+    // Include token balance if available
+    ...(tokenBalance !== null && tokenBalance !== undefined && {
+      tokenBalance: tokenBalance,
+      scansRemaining: tokenBalance,
+    }),
+    // POST /scan-history finds this scan's record by requestId to set its visibility and label
+    requestId: deviceInfo.requestId,
+  };
+
+  // The record in the user's history, written here rather than posted back by the client
+  body.scanId = await recordScan(userId, body, {
+    service: service,
+    thresholds: getProvider(providerName).getThresholds(),
+  });
+
+  // Another scan of the same link or image within the window gets this result back uncharged
+  if (sourceUrl) {
+    await recordUrlScan(userId, {
+      provider: requestedProvider,
+      url: sourceUrl,
+      contentHash: fingerprints ? fingerprints.contentHash : null,
+    }, body);
+  }
+
+  return { statusCode: 200, body: body };
+}
+
+/**
+ * Run one scan through the shared pipeline
+ * @param {Object} event - API Gateway event
+ * @param {Object} context - Lambda context (used to release the token before a timeout)
+ * @param {Object} options - { provider, service }: provider pins the vendor (compatibility routes),
+ *                           service names the route in request logs and the token ledger
+ * @returns {Promise<Object>} API Gateway response (202 with a jobId for async scans)
+ */
+async function runAnalysis(event, context, options = {}) {
+  console.log('Received event:', JSON.stringify(event, null, 2));
+
+  const headers = getCorsHeaders();
+  const service = options.service || 'image-analysis';
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: '',
+    };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod && event.httpMethod !== 'POST') {
+    return errorResponse(405, 'Method not allowed. Only POST requests are supported.');
+  }
+
+  // Extract device information
+  const deviceInfo = extractDeviceInfo(event);
+  let providerName = null;
+
+  // Token held for this scan; committed on success, released otherwise (see finally)
+  let reservation = null;
+
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = (typeof event.body === 'string' ? JSON.parse(event.body) : event.body) || {};
+    } catch (error) {
+      return errorResponse(400, 'Invalid JSON in request body', { requestId: deviceInfo.requestId });
+    }
+
+    // Select the detection provider
+    const provider = getProvider(resolveProviderName(event, body, options.provider));
+    if (!provider) {
+      return errorResponse(400, `Unknown provider. Supported providers: ${listProviderNames().join(', ')}`, {
+        requestId: deviceInfo.requestId,
+      });
+    }
+    providerName = provider.name;
+    console.log('Detection provider:', providerName);
+
+    // Validate the input shape before anything is looked up or reserved
+    if (!body.image && !body.uploadKey && !body.url) {
+      return errorResponse(400, 'Missing required field: "image" (base64), "uploadKey" (from /analyze/upload-url) or "url" (image URL) is required', {
+        requestId: deviceInfo.requestId,
+      });
+    }
+    if ([body.image, body.uploadKey, body.url].filter(Boolean).length > 1) {
+      return errorResponse(400, 'Send only one of "image", "uploadKey" or "url"', {
+        requestId: deviceInfo.requestId,
+      });
+    }
+
+    // Validate configuration before charging anything
+    const configError = await provider.getConfigurationError();
+    if (configError) {
+      return errorResponse(500, configError, { requestId: deviceInfo.requestId });
+    }
+    const config = await initializeConfig();
+
+    // If device ID not in headers, try to get it from request body
+    if (!deviceInfo.deviceId && body.deviceId) {
+      deviceInfo.deviceId = body.deviceId;
+    }
+
+    // Every image is stored in S3, including downloaded URL images (vendors only get our copy)
+    if (!config.s3Bucket) {
+      return errorResponse(500, 'S3 bucket name not found. Set it in SSM Parameter Store or as S3_BUCKET_NAME environment variable', {
+        requestId: deviceInfo.requestId,
+      });
+    }
+
+    // Async scans can ask to be told when they finish
+    const asyncScan = isAsyncRequest(event, body);
+    let notify = null;
+    if (asyncScan) {
+      const notifyOptions = await parseNotifyOptions(body);
+      if (notifyOptions.error) {
+        return errorResponse(400, notifyOptions.error, {
+          ...(notifyOptions.errorCode && { errorCode: notifyOptions.errorCode }),
+          requestId: deviceInfo.requestId,
+        });
+      }
+      notify = notifyOptions.notify;
+    }
+
+    // === Pre-scan validation: Auth, tokens, and device limits ===
+    // These checks happen BEFORE the expensive API call to avoid wasting credits
+
+    // Extract user identity from token
+    const token = extractToken(event);
+    const userId = await extractUserId(event);
+
+    console.log('=== Token and User ID Extraction ===');
+    console.log('Token present:', !!token);
+    console.log('User ID extracted:', userId || 'NONE');
+
+    // Block unauthenticated scans — all users must be authenticated
+    if (!userId) {
+      console.warn('⚠️ Unauthenticated scan request blocked');
+      return errorResponse(401, 'Authentication required. Please sign in or continue as guest to scan.');
+    }
+
+    // Get device ID for device-level scan tracking
+    const deviceId = deviceInfo.deviceId || null;
+    console.log('=== Device ID for scan tracking ===');
+    console.log('Device ID:', deviceId || 'NONE');
+
+    // A presigned upload must be the caller's own and an acceptable image
+    let upload = null;
+    if (body.uploadKey) {
+      try {
+        upload = await verifyUpload(userId, body.uploadKey, config.s3Bucket);
+        console.log(`Verified upload ${body.uploadKey} (${upload.contentType}, ${(upload.size / 1024).toFixed(2)}KB)`);
+      } catch (error) {
+        if (!error.statusCode) {
+          throw error;
+        }
+        console.warn(`⚠️ Upload rejected: ${error.message}`);
+        return errorResponse(error.statusCode, error.message, { requestId: deviceInfo.requestId });
+      }
+    }
+
+    // A URL scan repeating one this user ran with the same provider within the dedupe window
+    // (same canonical link, or the same image behind another link) gets the earlier result
+    // back without a token
+    const sourceUrl = body.url ? String(body.url) : null;
+    const answerDuplicateUrlScan = async (previous) => {
+      const tokenBalance = await getTokenBalance(userId);
+
+      logRequest(deviceInfo, true, service, providerName).catch(err =>
+        console.error('Failed to log request:', err)
+      );
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(buildDuplicateUrlScanBody(previous, {
+          tokenBalance: tokenBalance,
+          requestId: deviceInfo.requestId,
+        })),
+      };
+    };
+    if (sourceUrl) {
+      const previous = await findRecentUrlScan(userId, { provider: providerName, url: sourceUrl });
+      if (previous) {
+        return answerDuplicateUrlScan(previous);
+      }
+    }
+
+    // Load and check the image bytes before a token is spent on them
+    let imageData = null;
+    if (upload || sourceUrl) {
+      try {
+        let data;
+        let declaredType = null;
+        if (upload) {
+          data = await getUploadedImage(body.uploadKey, upload, config.s3Bucket);
+          declaredType = upload.contentType;
+        } else {
+          // Downloaded here under the SSRF policy; the vendor is sent our S3 copy, never the caller's URL
+          data = (await fetchImage(sourceUrl)).data;
+        }
+        const image = validateImage(data, declaredType);
+        imageData = {
+          ...image,
+          data: data,
+          size: data.length,
+          sizeMB: parseFloat((data.length / (1024 * 1024)).toFixed(2)),
+        };
+      } catch (error) {
+        if (!error.statusCode) {
+          throw error;
+        }
+        console.warn(`⚠️ Image rejected: ${error.message}`);
+        return errorResponse(error.statusCode, error.message, {
+          ...(error.errorCode && { errorCode: error.errorCode }),
+          requestId: deviceInfo.requestId,
+        });
+      }
+
+      if (sourceUrl) {
+        const previous = await findRecentUrlScan(userId, {
+          provider: providerName,
+          contentHash: getContentHash(imageData.data),
+        });
+        if (previous) {
+          return answerDuplicateUrlScan(previous);
+        }
+      }
+    } else if (body.image) {
+      try {
+        imageData = parseBase64Image(body.image);
+      } catch (error) {
+        return errorResponse(400, `Image parsing error: ${error.message}`, {
+          ...(error.errorCode && { errorCode: error.errorCode }),
+          requestId: deviceInfo.requestId,
+        });
+      }
+    }
+
+    // Too small to judge: answer unverifiable without reserving a token or calling a vendor
+    if (imageData && Math.min(imageData.width, imageData.height) < MIN_IMAGE_DIMENSION) {
+      console.warn(`⚠️ Image below minimum resolution (${imageData.width}x${imageData.height}, minimum ${MIN_IMAGE_DIMENSION}px), answering unverifiable`);
+      const tokenBalance = await getTokenBalance(userId);
+
+      logRequest(deviceInfo, true, service, providerName).catch(err =>
+        console.error('Failed to log request:', err)
+      );
+
+      const lowResolutionBody = {
+        success: true,
+        s3Url: null,
+        sourceUrl: sourceUrl,
+        provider: providerName,
+        requestedProvider: providerName,
+        failover: false,
+        providerAttempts: [],
+        analysis: buildLowResolutionAnalysis(imageData, providerName),
+        cached: false,
+        tokenCharged: false,
+        contentHash: getContentHash(imageData.data),
+        normalizedHash: null,
+        tokenBalance: tokenBalance,
+        scansRemaining: tokenBalance,
+        requestId: deviceInfo.requestId,
+      };
+      // No provider was asked, so no thresholds were applied
+      lowResolutionBody.scanId = await recordScan(userId, lowResolutionBody, {
+        service: service,
+        verdictSource: 'pre_scan',
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(lowResolutionBody),
+      };
+    }
+
+    // Reserve a token before any vendor work
+    // The balance is debited now and credited back if the scan does not succeed,
+    // so concurrent requests cannot spend the same token.
+    let tokenBalance = null;
+    console.log('=== Reserving Token ===');
+    try {
+      reservation = await reserveTokens(userId, {
+        source: service,
+        requestId: deviceInfo.requestId,
+        // An async scan's token is held for the whole job, not just this request
+        ...(asyncScan && { holdMs: getScanJobHoldMs() }),
+      });
+      guardReservation(reservation, context);
+      tokenBalance = reservation.balance;
+      console.log(`✅ Token reserved (${reservation.reservationId}), ${tokenBalance} tokens left`);
+    } catch (err) {
+      if (err.message === 'Insufficient tokens') {
+        tokenBalance = await getTokenBalance(userId);
+        console.warn('⚠️ User has insufficient tokens, blocking scan');
+        return errorResponse(402, 'Insufficient tokens. Please purchase a scan pack to continue.', {
+          tokenBalance: tokenBalance,
+          scansRemaining: tokenBalance,
+        });
+      }
+      console.error('❌ Failed to reserve token:', {
+        error: err.message,
+        code: err.code,
+        userId: userId,
+        stack: err.stack,
+      });
+      return errorResponse(503, 'Unable to reserve a token for this scan. Please try again.', {
+        requestId: deviceInfo.requestId,
+      });
+    }
+
+    // Device-level free scan limit enforcement
+    // Paid users (those who have purchased token packs) bypass device limits
+    if (deviceId) {
+      console.log('=== Checking Device-Level Scan Limit ===');
+      try {
+        const userHasPurchased = await hasUserPurchased(userId);
+        if (!userHasPurchased) {
+          const deviceExhausted = await isDeviceExhausted(deviceId);
+          if (deviceExhausted) {
+            const deviceScanCount = await getDeviceScanCount(deviceId);
+            console.warn(`⚠️ Device ${deviceId} has exhausted free scans (${deviceScanCount}/${getDeviceFreeScanLimit()})`);
+            return errorResponse(403, 'This device has used all free scans. Please purchase a scan pack to continue.', {
+              deviceLimitReached: true,
+              deviceFreeScansUsed: deviceScanCount,
+              deviceFreeScansLimit: getDeviceFreeScanLimit(),
+            });
+          }
+        } else {
+          console.log('✅ User has purchased tokens — bypassing device limit check');
+        }
+      } catch (err) {
+        console.error('❌ Failed to check device scan limit:', err);
+      }
+    }
+
+    // Build the provider input from the loaded image (base64, presigned upload or downloaded URL)
+    const { contentType, data: imageBuffer, extension, sizeMB } = imageData;
+    const input = { version: body.version || 'v2', imageBuffer: imageBuffer, contentType: contentType };
+    let s3Url = null;
+    const fingerprints = {
+      contentHash: getContentHash(imageBuffer),
+      perceptualHash: await getPerceptualHash(imageBuffer),
+    };
+    // The worker assesses async scans itself
+    if (!asyncScan) {
+      input.quality = await assessImageQuality(imageData);
+    }
+
+    // Upload to S3 (for storage/reference, and for providers that fetch by URL)
+    console.log(`Uploading image to S3 (${sizeMB}MB, ${contentType})...`);
+    try {
+      s3Url = await uploadToS3(imageBuffer, contentType, extension, config.s3Bucket);
+      console.log('Image uploaded to S3:', s3Url);
+      input.url = s3Url;
+    } catch (error) {
+      console.warn(`S3 upload failed. Continuing without S3 upload. Error: ${error.message}`);
+      if (provider.requiresUrl) {
+        return errorResponse(500, 'Could not store the image for analysis. Please try again.', {
+          requestId: deviceInfo.requestId,
+        });
+      }
+    }
+
+    // Each provider transcodes/downscales the image to its own requirements before its call
+    input.prepareImage = createImagePreparer(imageData, { s3Url: s3Url, bucketName: config.s3Bucket });
+
+    // Asynchronous scans: hand the prepared scan to the worker and answer straight away
+    if (asyncScan) {
+      if (!input.url) {
+        return errorResponse(500, 'Could not store the image for analysis. Please try again.', {
+          requestId: deviceInfo.requestId,
+        });
+      }
+
+      const job = await createScanJob({
+        userId: userId,
+        deviceId: deviceId,
+        deviceInfo: deviceInfo,
+        service: service,
+        requestedProvider: providerName,
+        version: input.version,
+        imageUrl: input.url,
+        s3Bucket: s3Url ? config.s3Bucket : null,
+        s3Key: s3Url ? new URL(s3Url).pathname.substring(1) : null,
+        contentType: input.contentType,
+        s3Url: s3Url,
+        sourceUrl: sourceUrl,
+        fingerprints: fingerprints,
+        reservation: reservation,
+        notify: notify,
+      });
+
+      // The job owns the token from here: the worker commits or releases it, the sweeper
+      // releases it if the worker never does. Stop this Lambda's timeout release first.
+      clearTimeoutGuard(reservation);
+      try {
+        await startScanJob(job.jobId);
+      } catch (error) {
+        console.error(`❌ Failed to start worker for scan job ${job.jobId}:`, error.message);
+        const startError = 'Could not start the scan. Please try again.';
+        await finishScanJob(job.jobId, {
+          statusCode: 503,
+          body: errorBody(startError, { requestId: deviceInfo.requestId }),
+        }).catch(err => console.error('Failed to mark scan job as failed:', err));
+        return errorResponse(503, startError, { requestId: deviceInfo.requestId });
+      }
+      reservation = null;
+
+      return {
+        statusCode: 202,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          jobId: job.jobId,
+          status: job.status,
+          statusUrl: `/analyze/jobs/${job.jobId}`,
+          requestedProvider: providerName,
+          tokenBalance: tokenBalance,
+          scansRemaining: tokenBalance,
+          requestId: deviceInfo.requestId,
+        }),
+      };
+    }
+
+    const outcome = await completeScan({
+      provider: provider,
+      input: input,
+      fingerprints: fingerprints,
+      s3Url: s3Url,
+      sourceUrl: sourceUrl,
+      reservation: reservation,
+      userId: userId,
+      deviceId: deviceId,
+      deviceInfo: deviceInfo,
+      service: service,
+    }, context);
+
+    return {
+      statusCode: outcome.statusCode,
+      headers,
+      body: JSON.stringify(outcome.body),
+    };
+  } catch (error) {
+    console.error('Error processing request:', error);
+
+    // Log failed request (async, don't wait)
+    logRequest(deviceInfo, false, service, providerName).catch(err =>
+      console.error('Failed to log request:', err)
+    );
+
+    return errorResponse(500, error.message || 'Internal server error', { requestId: deviceInfo.requestId });
+  } finally {
+    // Any path that did not commit (error, early return, vendor failure) gives the token back
+    if (reservation && reservation.status === 'held') {
+      await releaseReservation(reservation, 'scan_failed').catch(err =>
+        console.error('❌ Failed to release token reservation:', err)
+      );
+    }
+  }
+}
+
+/**
+ * Run a queued async scan job (worker Lambda)
+ * Picks up where runAnalysis stopped: detection, token settlement, then the job outcome
+ * and completion notifications. A job that is not queued (already claimed) is skipped.
+ * @param {string} jobId - Job ID
+ * @param {Object} context - Lambda context
+ * @returns {Promise<Object|null>} { jobId, statusCode }, or null if the job was not run
+ */
+async function runScanJob(jobId, context) {
+  const job = await claimScanJob(jobId);
+  if (!job) {
+    console.warn(`⚠️ Scan job ${jobId} is not queued, skipping`);
+    return null;
+  }
+  console.log(`Running scan job ${jobId} for user ${job.userId} (${job.requestedProvider})`);
+
+  // The job's token hold; released before this Lambda times out if the scan has not settled it
+  const reservation = { ...job.reservation, status: 'held' };
+  guardReservation(reservation, context);
+
+  let outcome;
+  try {
+    const input = { version: job.version, url: job.imageUrl };
+    if (job.s3Key) {
+      const object = await s3.getObject({ Bucket: job.s3Bucket, Key: job.s3Key }).promise();
+      input.imageBuffer = object.Body;
+      input.contentType = job.contentType;
+      // Validated when the job was queued; read again for the format and dimensions
+      const imageData = { ...validateImage(object.Body), data: object.Body };
+      input.prepareImage = createImagePreparer(imageData, { s3Url: job.s3Url, bucketName: job.s3Bucket });
+      input.quality = await assessImageQuality(imageData);
+    }
+
+    outcome = await completeScan({
+      provider: getProvider(job.requestedProvider),
+      input: input,
+      fingerprints: job.fingerprints,
+      s3Url: job.s3Url,
+      sourceUrl: job.sourceUrl || null,
+      reservation: reservation,
+      userId: job.userId,
+      deviceId: job.deviceId,
+      deviceInfo: job.deviceInfo,
+      service: job.service,
+    }, context);
+  } catch (error) {
+    console.error(`Error running scan job ${jobId}:`, error);
+    outcome = {
+      statusCode: 500,
+      body: errorBody(error.message || 'Internal server error', { requestId: job.deviceInfo.requestId }),
+    };
+  } finally {
+    if (reservation.status === 'held') {
+      await releaseReservation(reservation, 'scan_failed').catch(err =>
+        console.error('❌ Failed to release token reservation:', err)
+      );
+    }
+  }
+
+  await finishScanJob(jobId, outcome);
+  await notifyScanJobComplete(job, outcome);
+
+  return { jobId: jobId, statusCode: outcome.statusCode };
+}
+
+module.exports = {
+  runAnalysis,
+  runScanJob,
+  initializeConfig,
+  getCorsHeaders,
+  parseBase64Image,
+  uploadToS3,
+  extractDeviceInfo,
+  extractToken,
+  extractUserId,
+  saveScanHistory,
+  logRequest,
+};
@@ -3,6 +3,7 @@ require('dotenv').config();
 
 const AWS = require('aws-sdk');
 const { isDeviceExhausted, getDeviceScanCount, getDeviceFreeScanLimit } = require('./device-scan-helpers');
+const { changeTokenBalance } = require('./token-ledger');
 
 // Configure AWS SDK
 const awsConfig = {
@@ -153,7 +154,7 @@ async function confirmSignUp(email, confirmationCode, deviceId = null) {
           console.log(`✅ Added 5 free tokens for new user: ${subAttr.Value} (${email})`);
         } else {
           // Initialize token record with 0 balance
-          await addTokensToUser(subAttr.Value, 0);
+          await addTokensToUser(subAttr.Value, 0, 'signup_device_exhausted');
           console.log(`⚠️ Device exhausted — user ${subAttr.Value} (${email}) confirmed with 0 free tokens`);
         }
       } else {
@@ -579,27 +580,17 @@ function generateRandomPassword() {
 
 /**
  * Add tokens to a user's balance (for new guest users)
+ * @param {string} reason - Ledger reason, e.g. 'signup_bonus'
  */
-async function addTokensToUser(userId, amount) {
+async function addTokensToUser(userId, amount, reason = 'signup_bonus') {
   try {
-    const result = await dynamodb.update({
-      TableName: TOKENS_TABLE,
-      Key: { userId: userId },
-      UpdateExpression: 'SET #balance = if_not_exists(#balance, :zero) + :amount, #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#balance': 'balance',
-        '#updatedAt': 'updatedAt',
-      },
-      ExpressionAttributeValues: {
-        ':zero': 0,
-        ':amount': amount,
-        ':now': new Date().toISOString(),
-      },
-      ReturnValues: 'ALL_NEW',
-    }).promise();
+    const { balance } = await changeTokenBalance(userId, amount, {
+      reason: reason,
+      source: 'auth',
+    });
 
-    console.log(`✅ Added ${amount} tokens to new guest user: ${userId}, new balance: ${result.Attributes.balance}`);
-    return result.Attributes.balance;
+    console.log(`✅ Added ${amount} tokens to new guest user: ${userId}, new balance: ${balance}`);
+    return balance;
   } catch (error) {
     console.error('Error adding tokens to guest user:', error);
     // Don't throw error - guest signup should still succeed even if token addition fails
@@ -759,11 +750,11 @@ async function guestSignUp(deviceId) {
       // Add 5 free tokens for new guest users (using sub UUID as key)
       // Only grant free tokens if the device has NOT exhausted its free scan allotment
       if (!deviceExhausted) {
-        await addTokensToUser(userSub, 5);
+        await addTokensToUser(userSub, 5, 'guest_signup_bonus');
         console.log(`✅ Granted 5 free tokens to new guest user: ${userSub}`);
       } else {
         // Initialize with 0 tokens — device has already used its free scans
-        await addTokensToUser(userSub, 0);
+        await addTokensToUser(userSub, 0, 'signup_device_exhausted');
         console.log(`⚠️ Device exhausted — guest user ${userSub} created with 0 tokens`);
       }
     }
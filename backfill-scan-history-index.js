@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill scan-history rows for the table's indexes (see scan-history-index.js and
+ * scan-history-query.js)
+ * - rows with an S3 image but no contentHash get the SHA-256 of the stored object
+ * - contentHash and requestId attributes stored as null or "" are removed; DynamoDB
+ *   rejects any later write (a label edit, say) to a row whose index key is not a string
+ * - rows without createdAt get it from timestamp, so they are listed by GET /scan-history
+ * - labelled rows get the lowercased searchText that GET /scan-history?q= searches
+ * Safe to run more than once. Run it right after deploying the indexes.
+ *
+ * Usage:
+ *   node backfill-scan-history-index.js            # update rows
+ *   node backfill-scan-history-index.js --dry-run  # only report what would change
+ */
+
+require('dotenv').config();
+const AWS = require('aws-sdk');
+const { getContentHash } = require('./image-fingerprint');
+const { INDEX_KEY_ATTRIBUTES, getS3UrlHashPrefix } = require('./scan-history-index');
+const { buildSearchText } = require('./scan-history-query');
+
+// Configure AWS
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+const tableName = process.env.SCAN_HISTORY_TABLE ||
+  `${process.env.SERVICE_NAME || 'image-analysis'}-${process.env.STAGE || 'dev'}-scan-history`;
+
+/**
+ * Bucket and key of an S3 URL from uploadToS3
+ * (https://{bucket}.s3.amazonaws.com/{key} or https://{bucket}.s3.{region}.amazonaws.com/{key})
+ */
+function parseS3Url(s3Url) {
+  try {
+    const url = new URL(s3Url);
+    const bucket = url.hostname.split('.s3.')[0];
+    if (bucket === url.hostname || !url.hostname.endsWith('.amazonaws.com')) {
+      return null;
+    }
+    return { bucket: bucket, key: decodeURIComponent(url.pathname.substring(1)) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * SHA-256 of the image a row points at, or null if it cannot be read
+ */
+async function hashStoredImage(item) {
+  const location = getS3UrlHashPrefix(item.s3Url) ? parseS3Url(item.s3Url) : null;
+  if (!location) {
+    return null;
+  }
+  try {
+    const object = await s3.getObject({ Bucket: location.bucket, Key: location.key }).promise();
+    const contentHash = getContentHash(object.Body);
+    // The key is named after the hash; anything else is not the original upload
+    return contentHash.startsWith(getS3UrlHashPrefix(item.s3Url)) ? contentHash : null;
+  } catch (error) {
+    console.warn(`  Could not read ${item.s3Url}: ${error.code || error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Bring one row in line with the indexes
+ * @returns {Promise<string[]>} What changed: contentHash, createdAt, searchText, removed
+ */
+async function backfillItem(item, dryRun) {
+  const set = {};
+  if (typeof item.contentHash !== 'string' || !item.contentHash) {
+    const contentHash = await hashStoredImage(item);
+    if (contentHash) {
+      set.contentHash = contentHash;
+    }
+  }
+  if (typeof item.createdAt !== 'string' && typeof item.timestamp === 'string') {
+    set.createdAt = item.timestamp;
+  }
+  const searchText = buildSearchText(item.label, item.note);
+  if (searchText && item.searchText !== searchText) {
+    set.searchText = searchText;
+  }
+  // An attribute that is being set is not also removed
+  const remove = INDEX_KEY_ATTRIBUTES.filter(attribute =>
+    attribute in item && !(attribute in set) && (typeof item[attribute] !== 'string' || item[attribute] === ''));
+
+  const clauses = [];
+  if (Object.keys(set).length > 0) {
+    clauses.push(`SET ${Object.keys(set).map(attribute => `${attribute} = :${attribute}`).join(', ')}`);
+  }
+  if (remove.length > 0) {
+    clauses.push(`REMOVE ${remove.join(', ')}`);
+  }
+  if (clauses.length === 0) {
+    return [];
+  }
+
+  console.log(`  ${item.userId}/${item.scanId}: ${clauses.join(' ')}`);
+  if (!dryRun) {
+    const values = {};
+    Object.entries(set).forEach(([attribute, value]) => {
+      values[`:${attribute}`] = value;
+    });
+    await dynamodb.update({
+      TableName: tableName,
+      Key: { userId: item.userId, scanId: item.scanId },
+      UpdateExpression: clauses.join(' '),
+      ConditionExpression: 'attribute_exists(scanId)',
+      ...(Object.keys(values).length > 0 && { ExpressionAttributeValues: values }),
+    }).promise();
+  }
+  return [...Object.keys(set), ...(remove.length > 0 ? ['removed'] : [])];
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(`Backfilling ${tableName}${dryRun ? ' (dry run)' : ''}...\n`);
+
+  const counts = { scanned: 0, contentHash: 0, createdAt: 0, searchText: 0, removed: 0, failed: 0 };
+  let lastEvaluatedKey;
+  do {
+    const result = await dynamodb.scan({
+      TableName: tableName,
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey }),
+    }).promise();
+
+    for (const item of result.Items || []) {
+      counts.scanned++;
+      try {
+        const changes = await backfillItem(item, dryRun);
+        changes.forEach((change) => {
+          counts[change]++;
+        });
+      } catch (error) {
+        counts.failed++;
+        console.error(`  ❌ ${item.userId}/${item.scanId}: ${error.message}`);
+      }
+    }
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log('\n=== Backfill Summary ===');
+  console.log(`Rows scanned: ${counts.scanned}`);
+  console.log(`Content hash added: ${counts.contentHash}`);
+  console.log(`createdAt added: ${counts.createdAt}`);
+  console.log(`Search text added: ${counts.searchText}`);
+  console.log(`Null index keys removed: ${counts.removed}`);
+  console.log(`Failed: ${counts.failed}`);
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseS3Url, backfillItem };
@@ -0,0 +1,239 @@
+/**
+ * Cognito JWT Verifier
+ * Shared verification of Cognito ID and access tokens for all handlers.
+ * Fetches the user pool's JWKS, caches it, and validates the RS256 signature
+ * plus the iss, token_use, aud/client_id and exp claims before any claim is trusted.
+ *
+ * For offline testing, set COGNITO_JWKS_FILE to a local JWKS JSON file
+ * (see test-jwt-verifier-local.js).
+ */
+
+require('dotenv').config();
+
+const https = require('https');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const JWKS_CACHE_TTL_MS = parseInt(process.env.COGNITO_JWKS_CACHE_TTL_MS || '3600000', 10); // 1 hour
+const JWKS_MIN_REFRESH_INTERVAL_MS = 60 * 1000; // Throttle refetches triggered by unknown kids
+const CLOCK_SKEW_SECONDS = parseInt(process.env.COGNITO_JWT_CLOCK_SKEW_SECONDS || '60', 10);
+const ALLOWED_TOKEN_USES = ['id', 'access'];
+
+// Cache for the user pool's signing keys, keyed by kid
+let cachedJwks = {
+  keys: null,
+  fetchedAt: 0,
+};
+
+/**
+ * Get the expected token issuer for the configured user pool
+ * @returns {string} Issuer URL
+ */
+function getIssuer() {
+  const userPoolId = process.env.COGNITO_USER_POOL_ID || '';
+  const region = process.env.COGNITO_REGION || userPoolId.split('_')[0] || process.env.AWS_REGION || 'us-east-1';
+  return `https://cognito-idp.${region}.amazonaws.com/${userPoolId}`;
+}
+
+/**
+ * Get the JWKS URL for the configured user pool
+ * @returns {string} JWKS URL
+ */
+function getJwksUrl() {
+  return process.env.COGNITO_JWKS_URL || `${getIssuer()}/.well-known/jwks.json`;
+}
+
+/**
+ * Download a JWKS document over HTTPS
+ * @param {string} url - JWKS URL
+ * @returns {Promise<Object>} Parsed JWKS document
+ */
+function fetchJwksDocument(url) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { timeout: 5000 }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`Failed to fetch JWKS: HTTP ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`Failed to parse JWKS: ${error.message}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`JWKS request failed: ${error.message}`));
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('JWKS request timeout'));
+    });
+  });
+}
+
+/**
+ * Load the user pool's signing keys, using the cache when it is fresh
+ * @param {boolean} forceRefresh - Refetch even if the cache is fresh (throttled)
+ * @returns {Promise<Object>} Map of kid -> KeyObject
+ */
+async function getSigningKeys(forceRefresh = false) {
+  const age = Date.now() - cachedJwks.fetchedAt;
+  if (cachedJwks.keys && age < JWKS_CACHE_TTL_MS && (!forceRefresh || age < JWKS_MIN_REFRESH_INTERVAL_MS)) {
+    return cachedJwks.keys;
+  }
+
+  const jwksFile = process.env.COGNITO_JWKS_FILE;
+  const jwks = jwksFile
+    ? JSON.parse(fs.readFileSync(jwksFile, 'utf8'))
+    : await fetchJwksDocument(getJwksUrl());
+
+  const keys = {};
+  (jwks.keys || []).forEach((jwk) => {
+    if (jwk.kty !== 'RSA' || !jwk.kid || (jwk.use && jwk.use !== 'sig')) {
+      return;
+    }
+    keys[jwk.kid] = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  });
+
+  cachedJwks = {
+    keys: keys,
+    fetchedAt: Date.now(),
+  };
+
+  console.log(`Loaded ${Object.keys(keys).length} Cognito signing keys from ${jwksFile || getJwksUrl()}`);
+  return keys;
+}
+
+/**
+ * Decode a base64url-encoded JWT segment into JSON
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify a Cognito JWT and return its claims
+ * Throws if the signature, issuer, audience, token_use or expiry is invalid.
+ * @param {string} token - Raw JWT (without "Bearer " prefix)
+ * @returns {Promise<Object>} Verified token claims
+ */
+async function verifyCognitoToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Token is required');
+  }
+
+  const tokenParts = token.split('.');
+  if (tokenParts.length !== 3) {
+    throw new Error('Invalid JWT format');
+  }
+
+  let header, payload;
+  try {
+    header = decodeSegment(tokenParts[0]);
+    payload = decodeSegment(tokenParts[1]);
+  } catch (error) {
+    throw new Error('Invalid JWT encoding');
+  }
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`Unsupported JWT algorithm: ${header.alg}`);
+  }
+
+  let keys = await getSigningKeys();
+  if (!keys[header.kid]) {
+    // Keys may have been rotated since we cached them
+    keys = await getSigningKeys(true);
+  }
+  const publicKey = keys[header.kid];
+  if (!publicKey) {
+    throw new Error('Unknown JWT signing key');
+  }
+
+  const signatureValid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${tokenParts[0]}.${tokenParts[1]}`),
+    publicKey,
+    Buffer.from(tokenParts[2], 'base64url')
+  );
+  if (!signatureValid) {
+    throw new Error('Invalid JWT signature');
+  }
+
+  if (payload.iss !== getIssuer()) {
+    throw new Error('Invalid JWT issuer');
+  }
+
+  if (!ALLOWED_TOKEN_USES.includes(payload.token_use)) {
+    throw new Error(`Invalid token_use: ${payload.token_use}`);
+  }
+
+  const clientId = process.env.COGNITO_USER_POOL_CLIENT_ID;
+  if (clientId) {
+    // ID tokens carry the app client in aud, access tokens in client_id
+    const tokenClientId = payload.token_use === 'id' ? payload.aud : payload.client_id;
+    if (tokenClientId !== clientId) {
+      throw new Error('Invalid JWT audience');
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error('Token expired');
+  }
+  if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new Error('Token issued in the future');
+  }
+
+  if (!payload.sub) {
+    throw new Error('Token does not contain a subject');
+  }
+
+  return payload;
+}
+
+/**
+ * Verify a Cognito JWT and return the user ID (sub), or null if verification fails
+ * @param {string} token - Raw JWT (without "Bearer " prefix)
+ * @returns {Promise<string|null>} Cognito user ID
+ */
+async function getVerifiedUserId(token) {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const claims = await verifyCognitoToken(token);
+    return claims.sub;
+  } catch (error) {
+    console.warn('❌ Cognito token verification failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Clear the cached signing keys (used by local tests)
+ */
+function clearJwksCache() {
+  cachedJwks = {
+    keys: null,
+    fetchedAt: 0,
+  };
+}
+
+module.exports = {
+  verifyCognitoToken,
+  getVerifiedUserId,
+  getIssuer,
+  getJwksUrl,
+  clearJwksCache,
+};
@@ -73,6 +73,19 @@ if [ -z "$S3_BUCKET_NAME" ]; then
     export S3_BUCKET_NAME
 fi
 
+# Scan-history index rollout step (README "Scan History"): 4 for a new stage or one that is
+# fully rolled out, otherwise the next step
+if [ -z "$SCAN_HISTORY_INDEXES" ]; then
+    echo "⚠️  SCAN_HISTORY_INDEXES is not set in .env file"
+    echo "   Use 4 for a new stage or one already at step 4; otherwise the next step (see README \"Scan History\")"
+    read -p "Enter the scan-history index step (0-4): " SCAN_HISTORY_INDEXES
+fi
+if [[ ! "$SCAN_HISTORY_INDEXES" =~ ^[0-4]$ ]]; then
+    echo "❌ SCAN_HISTORY_INDEXES must be a step from 0 to 4, got '$SCAN_HISTORY_INDEXES'"
+    exit 1
+fi
+export SCAN_HISTORY_INDEXES
+
 # Set AWS_REGION if not already set
 if [ -z "$AWS_REGION" ]; then
     AWS_REGION=${AWS_REGION:-us-east-1}
@@ -83,6 +96,7 @@ echo ""
 echo "Configuration:"
 echo "  HIVE_API_KEY: ${HIVE_API_KEY:0:10}..."
 echo "  S3_BUCKET_NAME: $S3_BUCKET_NAME"
+echo "  SCAN_HISTORY_INDEXES: $SCAN_HISTORY_INDEXES"
 echo ""
 
 read -p "Continue with deployment? (y/n) " -n 1 -r
@@ -97,6 +111,16 @@ echo ""
 echo "📦 Installing dependencies..."
 npm install
 
+# sharp is a native module: Lambda runs linux-x64 (see provider.architecture in serverless.yml),
+# so its binaries are installed for that platform whatever machine this deploys from
+echo "📦 Installing sharp binaries for Lambda (linux-x64)..."
+npm install --no-save --os=linux --cpu=x64 sharp
+if [ ! -d node_modules/@img/sharp-linux-x64 ] || [ ! -d node_modules/@img/sharp-libvips-linux-x64 ]; then
+    echo "❌ sharp's linux-x64 binaries are missing from node_modules/@img; /analyze would fail to load."
+    echo "   npm 10 or later is needed to install them from another platform."
+    exit 1
+fi
+
 # Deploy
 echo ""
 echo "🚀 Deploying Lambda function..."
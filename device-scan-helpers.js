@@ -112,8 +112,9 @@ async function isDeviceExhausted(deviceId) {
 
 /**
  * Check if a user has ever purchased tokens (i.e., is a paid user)
+ * Refunded purchases do not count.
  * @param {string} userId - The Cognito user ID (sub)
- * @returns {Promise<boolean>} True if user has purchase records
+ * @returns {Promise<boolean>} True if user has non-refunded purchase records
  */
 async function hasUserPurchased(userId) {
   if (!userId) {
@@ -125,10 +126,15 @@ async function hasUserPurchased(userId) {
       TableName: PURCHASES_TABLE,
       IndexName: 'userId-purchaseDate-index',
       KeyConditionExpression: 'userId = :uid',
+      // No Limit: it would apply before the filter and could hide a valid purchase
+      FilterExpression: 'attribute_not_exists(#status) OR #status <> :refunded',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
       ExpressionAttributeValues: {
         ':uid': userId,
+        ':refunded': 'refunded',
       },
-      Limit: 1, // We only need to know if at least one purchase exists
       Select: 'COUNT',
     }).promise();
 
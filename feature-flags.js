@@ -0,0 +1,109 @@
+/**
+ * Feature Flags
+ * Stage-aware switches for routes that must not behave the same in every stage.
+ *
+ * Each flag maps a stage to a mode:
+ * - 'off'     - the route is treated as if it does not exist (404)
+ * - 'guarded' - the caller must be an admin AND present the shared test secret
+ * - 'on'      - the route is open to any authenticated caller
+ * Stages not listed for a flag fall back to its `default` mode.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+
+const TEST_SECRET_HEADER = 'X-Test-Secret';
+
+const FEATURE_FLAGS = {
+  // POST /subscription/test/add-tokens
+  testTokenGrants: {
+    prod: 'off',
+    production: 'off',
+    dev: 'guarded',
+    default: 'off',
+  },
+};
+
+/**
+ * Get the current deployment stage
+ * @returns {string} Stage name
+ */
+function getStage() {
+  return process.env.STAGE || 'dev';
+}
+
+/**
+ * Get the mode of a feature flag for a stage
+ * @param {string} flagName - Flag name (key of FEATURE_FLAGS)
+ * @param {string} stage - Stage name (defaults to the current stage)
+ * @returns {string} 'off', 'guarded' or 'on'
+ */
+function getFeatureMode(flagName, stage = getStage()) {
+  const flag = FEATURE_FLAGS[flagName];
+  if (!flag) {
+    return 'off';
+  }
+  return flag[stage] || flag.default || 'off';
+}
+
+/**
+ * Check if a feature is available at all in a stage
+ * @param {string} flagName - Flag name
+ * @param {string} stage - Stage name (defaults to the current stage)
+ * @returns {boolean} True unless the flag is off
+ */
+function isFeatureEnabled(flagName, stage = getStage()) {
+  return getFeatureMode(flagName, stage) !== 'off';
+}
+
+/**
+ * Compare a provided secret to the configured one in constant time
+ */
+function secretMatches(providedSecret, expectedSecret) {
+  if (!providedSecret || !expectedSecret) {
+    return false;
+  }
+
+  const provided = crypto.createHash('sha256').update(String(providedSecret)).digest();
+  const expected = crypto.createHash('sha256').update(String(expectedSecret)).digest();
+  return crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Decide whether a caller may use a flagged feature
+ * @param {string} flagName - Flag name
+ * @param {Object} caller - { isAdmin, providedSecret }
+ * @param {string} stage - Stage name (defaults to the current stage)
+ * @returns {Object} { allowed, statusCode, error }
+ */
+function authorizeFeature(flagName, caller = {}, stage = getStage()) {
+  const mode = getFeatureMode(flagName, stage);
+
+  if (mode === 'off') {
+    return { allowed: false, statusCode: 404, error: 'Endpoint not found' };
+  }
+
+  if (mode === 'on') {
+    return { allowed: true, statusCode: 200, error: null };
+  }
+
+  if (!caller.isAdmin) {
+    return { allowed: false, statusCode: 403, error: 'Admin access required' };
+  }
+
+  if (!secretMatches(caller.providedSecret, process.env.TEST_ROUTES_SECRET)) {
+    return { allowed: false, statusCode: 403, error: 'Invalid or missing test secret' };
+  }
+
+  return { allowed: true, statusCode: 200, error: null };
+}
+
+module.exports = {
+  getStage,
+  getFeatureMode,
+  isFeatureEnabled,
+  authorizeFeature,
+  FEATURE_FLAGS,
+  TEST_SECRET_HEADER,
+};
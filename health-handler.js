@@ -2,6 +2,7 @@
 require('dotenv').config();
 
 const AWS = require('aws-sdk');
+const { getProviderHealth } = require('./providers');
 
 // Configure AWS SDK
 const awsConfig = {
@@ -102,7 +103,12 @@ async function performHealthCheck() {
     s3: await checkS3(),
   };
 
-  const allHealthy = Object.values(checks).every(check => check.healthy);
+  // Detection providers fail over to each other, so one open circuit is not an outage
+  const providers = await getProviderHealth();
+  const providerStates = Object.values(providers).map(provider => provider.state);
+  const allProvidersOpen = providerStates.length > 0 && providerStates.every(state => state === 'open');
+
+  const allHealthy = Object.values(checks).every(check => check.healthy) && !allProvidersOpen;
   const statusCode = allHealthy ? 200 : 503;
 
   return {
@@ -112,6 +118,7 @@ async function performHealthCheck() {
       status: allHealthy ? 'healthy' : 'degraded',
       timestamp: new Date().toISOString(),
       checks,
+      providers,
     }),
   };
 }
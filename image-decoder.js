@@ -0,0 +1,61 @@
+/**
+ * Image Decoder
+ * Opens image bytes for sharp. The prebuilt sharp binaries read HEIF containers but only decode
+ * AV1 (AVIF) inside them, so HEVC-coded HEIC/HEIF images (iPhone photos) are decoded with libheif
+ * (WebAssembly, through heic-decode) into raw pixels first. A sharp build that decodes HEIC
+ * itself (libvips with libde265) is used directly.
+ *
+ * libheif applies the image's rotation and mirroring while decoding, so the pixels come out upright.
+ */
+
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { sniffImageFormat } = require('./image-format');
+
+const HEVC_FORMATS = ['heic', 'heif'];
+
+// Decoded pixels per image buffer, so the steps of one scan decode a HEIC once
+const decodedImages = new WeakMap();
+
+/**
+ * Whether this sharp build decodes HEVC itself
+ */
+function sharpDecodesHeic() {
+  return sharp.format.heif.input.fileSuffix.includes('.heic');
+}
+
+/**
+ * Decode a HEIC/HEIF image to raw RGBA pixels with libheif
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} { data, width, height }
+ */
+function decodeWithLibheif(buffer) {
+  if (!decodedImages.has(buffer)) {
+    const decoding = decodeHeic({ buffer: buffer }).then(({ data, width, height }) => ({
+      data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+      width: width,
+      height: height,
+    }));
+    // A failed decode is not kept, so the error reaches every caller the same way
+    decoding.catch(() => decodedImages.delete(buffer));
+    decodedImages.set(buffer, decoding);
+  }
+  return decodedImages.get(buffer);
+}
+
+/**
+ * Open image bytes as a sharp pipeline
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} sharp instance; rejects when the image cannot be decoded
+ */
+async function openImage(buffer) {
+  if (HEVC_FORMATS.includes(sniffImageFormat(buffer)) && !sharpDecodesHeic()) {
+    const { data, width, height } = await decodeWithLibheif(buffer);
+    return sharp(data, { raw: { width: width, height: height, channels: 4 } });
+  }
+  return sharp(buffer);
+}
+
+module.exports = {
+  openImage,
+};
@@ -0,0 +1,148 @@
+/**
+ * Image Fetcher
+ * Downloads images for URL scans (`"url"` on /analyze and /gowinston/detect), so vendors are
+ * only ever sent our own S3 copy and a caller cannot point us at internal addresses (SSRF).
+ * - http and https only, checked against the public URL policy (./public-url): default ports,
+ *   no credentials, public addresses only, connection pinned to the checked address
+ * - at most URL_FETCH_MAX_REDIRECTS redirects, each hop checked the same way
+ * - image/* responses only, at most 20MB, within URL_FETCH_TIMEOUT_MS overall
+ *
+ * Errors carry a statusCode and an errorCode:
+ * - INVALID_IMAGE_URL        - not an absolute http(s) URL on a default port
+ * - IMAGE_URL_BLOCKED        - resolves to a private or reserved address
+ * - IMAGE_URL_FETCH_FAILED   - DNS failure, connection error, non-200 response or a redirect
+ *                              without a Location
+ * - TOO_MANY_REDIRECTS
+ * - UNSUPPORTED_IMAGE_FORMAT - the response is not an image
+ * - IMAGE_TOO_LARGE          - over 20MB
+ * - IMAGE_URL_TIMEOUT        - the download did not finish in time
+ */
+
+require('dotenv').config();
+
+const http = require('http');
+const https = require('https');
+const { parsePublicUrl, resolvePublicAddress, pinnedLookup } = require('./public-url');
+
+const URL_FETCH_TIMEOUT_MS = parseInt(process.env.URL_FETCH_TIMEOUT_MS || '8000', 10);
+const URL_FETCH_MAX_REDIRECTS = parseInt(process.env.URL_FETCH_MAX_REDIRECTS || '3', 10);
+// Same limit as base64 images and presigned uploads
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024;
+// Error codes for URLs the public URL policy refuses
+const URL_ERROR_CODES = {
+  invalid: 'INVALID_IMAGE_URL',
+  blocked: 'IMAGE_URL_BLOCKED',
+  unresolved: 'IMAGE_URL_FETCH_FAILED',
+};
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const USER_AGENT = 'image-analysis-fetcher/1.0';
+
+/**
+ * Build an Error carrying the HTTP status and error code to return
+ */
+function fetchError(statusCode, errorCode, message) {
+  return Object.assign(new Error(message), { statusCode, errorCode });
+}
+
+/**
+ * Parse and check an image URL
+ * @returns {URL} The parsed URL
+ */
+function parseImageUrl(value, base = undefined) {
+  return parsePublicUrl(value, { base: base, subject: 'image URL', errorCodes: URL_ERROR_CODES });
+}
+
+/**
+ * Make one GET request to a checked address
+ * @returns {Promise<Object>} { location } for a redirect, otherwise { data, contentType }
+ */
+function requestImage(url, resolved, deadline) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      headers: { 'User-Agent': USER_AGENT, Accept: 'image/*' },
+      // Connect to the address that was checked
+      lookup: pinnedLookup(resolved),
+    }, (response) => {
+      if (REDIRECT_STATUSES.includes(response.statusCode)) {
+        response.resume();
+        if (!response.headers.location) {
+          reject(fetchError(400, 'IMAGE_URL_FETCH_FAILED', `The image URL returned HTTP ${response.statusCode} without a redirect location.`));
+          return;
+        }
+        resolve({ location: response.headers.location });
+        return;
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(fetchError(400, 'IMAGE_URL_FETCH_FAILED', `The image URL returned HTTP ${response.statusCode}.`));
+        return;
+      }
+
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!contentType.startsWith('image/')) {
+        response.destroy();
+        reject(fetchError(400, 'UNSUPPORTED_IMAGE_FORMAT', `The image URL returned ${contentType || 'no content type'}, not an image.`));
+        return;
+      }
+
+      const tooLarge = () => fetchError(413, 'IMAGE_TOO_LARGE', 'Image too large. Maximum size is 20MB. Please compress or resize the image.');
+      if (parseInt(response.headers['content-length'] || '0', 10) > MAX_IMAGE_SIZE) {
+        response.destroy();
+        reject(tooLarge());
+        return;
+      }
+
+      // Content-Length can be missing or wrong, so the limit is enforced while reading
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_IMAGE_SIZE) {
+          request.destroy(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ data: Buffer.concat(chunks), contentType: contentType }));
+      response.on('error', error => reject(error));
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(fetchError(504, 'IMAGE_URL_TIMEOUT', 'Timed out downloading the image URL.'));
+    }, Math.max(deadline - Date.now(), 0));
+    request.on('close', () => clearTimeout(timer));
+    request.on('error', (error) => {
+      reject(error.errorCode ? error : fetchError(400, 'IMAGE_URL_FETCH_FAILED', `Could not download the image: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Download an image from a caller-supplied URL
+ * @param {string} imageUrl - URL from the request
+ * @returns {Promise<Object>} { data, contentType, url: the URL finally downloaded (after redirects) }
+ */
+async function fetchImage(imageUrl) {
+  const deadline = Date.now() + URL_FETCH_TIMEOUT_MS;
+  let url = parseImageUrl(imageUrl);
+
+  for (let redirects = 0; ; redirects++) {
+    const address = await resolvePublicAddress(url, { subject: 'image URL', errorCodes: URL_ERROR_CODES });
+    const result = await requestImage(url, address, deadline);
+
+    if (!result.location) {
+      console.log(`Downloaded image URL ${url.href} (${(result.data.length / 1024).toFixed(2)}KB, ${result.contentType})`);
+      return { data: result.data, contentType: result.contentType, url: url.href };
+    }
+    if (redirects >= URL_FETCH_MAX_REDIRECTS) {
+      throw fetchError(400, 'TOO_MANY_REDIRECTS', `The image URL redirected more than ${URL_FETCH_MAX_REDIRECTS} times.`);
+    }
+    // Relative locations resolve against the current URL; the new one is checked like the first
+    url = parseImageUrl(result.location, url);
+  }
+}
+
+module.exports = {
+  fetchImage,
+};
@@ -0,0 +1,74 @@
+/**
+ * Image Fingerprints
+ * Content hash (exact bytes) and perceptual hash (what the picture looks like) of an image.
+ * The perceptual hash is a 64-bit difference hash (dHash): the image is turned upright,
+ * greyscaled and shrunk to 9x8, and each bit records whether a pixel is brighter than its
+ * right-hand neighbour. Resized or recompressed copies of a photo land within a few bits
+ * of each other, so hashes are compared by Hamming distance.
+ */
+
+const crypto = require('crypto');
+const { openImage } = require('./image-decoder');
+
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+/**
+ * SHA-256 of the image bytes
+ * @param {Buffer} imageBuffer - Image bytes
+ * @returns {string} Hex digest
+ */
+function getContentHash(imageBuffer) {
+  return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+}
+
+/**
+ * 64-bit difference hash of the image
+ * @param {Buffer} imageBuffer - Image bytes
+ * @returns {Promise<string|null>} 16 hex characters, or null if the image cannot be decoded
+ */
+async function getPerceptualHash(imageBuffer) {
+  try {
+    const pixels = await (await openImage(imageBuffer))
+      .rotate()
+      .greyscale()
+      .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < DHASH_HEIGHT; row++) {
+      for (let col = 0; col < DHASH_WIDTH - 1; col++) {
+        const left = pixels[row * DHASH_WIDTH + col];
+        const right = pixels[row * DHASH_WIDTH + col + 1];
+        hash = (hash << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  } catch (error) {
+    console.warn(`Could not compute perceptual hash: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} hashA - 16 hex characters
+ * @param {string} hashB - 16 hex characters
+ * @returns {number} 0-64
+ */
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+module.exports = {
+  getContentHash,
+  getPerceptualHash,
+  hammingDistance,
+};
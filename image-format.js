@@ -0,0 +1,217 @@
+/**
+ * Image Format
+ * Identifies an image from its magic bytes (never from the declared MIME type) and reads its
+ * dimensions from the format headers, without decoding pixels.
+ * Supported: JPEG, PNG, WebP, GIF, HEIC/HEIF and AVIF.
+ *
+ * Validation errors carry statusCode 400 and an errorCode:
+ * - EMPTY_IMAGE              - no bytes
+ * - UNSUPPORTED_IMAGE_FORMAT - magic bytes match no supported format
+ * - IMAGE_TYPE_MISMATCH      - the declared content type is a different format
+ * - CORRUPT_IMAGE            - recognized format, but the header is truncated or invalid
+ */
+
+// Formats by id; contentTypes lists every declared type accepted for that format
+const FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', contentTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'] },
+  png: { contentType: 'image/png', extension: 'png', contentTypes: ['image/png'] },
+  webp: { contentType: 'image/webp', extension: 'webp', contentTypes: ['image/webp'] },
+  gif: { contentType: 'image/gif', extension: 'gif', contentTypes: ['image/gif'] },
+  heic: { contentType: 'image/heic', extension: 'heic', contentTypes: ['image/heic', 'image/heif'] },
+  heif: { contentType: 'image/heif', extension: 'heif', contentTypes: ['image/heif', 'image/heic'] },
+  avif: { contentType: 'image/avif', extension: 'avif', contentTypes: ['image/avif', 'image/heif'] },
+};
+
+// ISO-BMFF brands (ftyp box) of each HEIF-family format
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+// JPEG start-of-frame markers (SOF0-SOF15, excluding DHT, JPG and DAC)
+const JPEG_SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * Build an Error carrying the HTTP status and error code to return
+ */
+function imageError(errorCode, message) {
+  return Object.assign(new Error(message), { statusCode: 400, errorCode });
+}
+
+/**
+ * Identify the format of an image from its magic bytes
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string|null} Format id (a key of FORMATS), or null if unrecognized
+ */
+function sniffImageFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return 'png';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+    // Major brand, then compatible brands up to the end of the ftyp box
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [buffer.toString('latin1', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+    if (AVIF_BRANDS.includes(brands[0]) || (HEIF_BRANDS.includes(brands[0]) && brands.some(brand => AVIF_BRANDS.includes(brand)))) {
+      return 'avif';
+    }
+    if (HEIC_BRANDS.includes(brands[0]) || brands.some(brand => HEIC_BRANDS.includes(brand))) {
+      return 'heic';
+    }
+    if (HEIF_BRANDS.includes(brands[0])) {
+      return 'heif';
+    }
+  }
+  return null;
+}
+
+function getJpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    // Fill bytes
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    // Start of scan before any frame header: no dimensions to find
+    if (marker === 0xDA) {
+      return null;
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function getPngDimensions(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function getGifDimensions(buffer) {
+  if (buffer.length < 10) {
+    return null;
+  }
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function getWebpDimensions(buffer) {
+  if (buffer.length < 30) {
+    return null;
+  }
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') {
+    // Lossy: 14-bit dimensions after the frame tag and start code
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    // Lossless: 14 bits each (minus one), after the 0x2F signature
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    // Extended: 24-bit canvas size (minus one)
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function getHeifDimensions(buffer) {
+  // 'ispe' (image spatial extent) properties; the primary image is the largest, the rest are thumbnails
+  let largest = null;
+  let offset = buffer.indexOf('ispe', 0, 'latin1');
+  while (offset !== -1 && offset + 16 <= buffer.length) {
+    const width = buffer.readUInt32BE(offset + 8);
+    const height = buffer.readUInt32BE(offset + 12);
+    if (!largest || width * height > largest.width * largest.height) {
+      largest = { width, height };
+    }
+    offset = buffer.indexOf('ispe', offset + 4, 'latin1');
+  }
+  return largest;
+}
+
+const DIMENSION_READERS = {
+  jpeg: getJpegDimensions,
+  png: getPngDimensions,
+  gif: getGifDimensions,
+  webp: getWebpDimensions,
+  heic: getHeifDimensions,
+  heif: getHeifDimensions,
+  avif: getHeifDimensions,
+};
+
+/**
+ * Read an image's dimensions from its format header
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} format - Format id from sniffImageFormat
+ * @returns {Object|null} { width, height }, or null if the header is truncated or invalid
+ */
+function getImageDimensions(buffer, format) {
+  try {
+    const dimensions = DIMENSION_READERS[format](buffer);
+    return dimensions && dimensions.width > 0 && dimensions.height > 0 ? dimensions : null;
+  } catch (error) {
+    // Reads past the end of a truncated buffer
+    return null;
+  }
+}
+
+/**
+ * Identify and check an image
+ * @param {Buffer} buffer - Image bytes
+ * @param {string|null} declaredType - Content type the client declared, if any
+ * @returns {Object} { format, contentType, extension, width, height }
+ */
+function validateImage(buffer, declaredType = null) {
+  if (!buffer || buffer.length === 0) {
+    throw imageError('EMPTY_IMAGE', 'The image is empty.');
+  }
+
+  const format = sniffImageFormat(buffer);
+  if (!format) {
+    throw imageError('UNSUPPORTED_IMAGE_FORMAT', 'Unsupported or unrecognized image format. Supported formats: JPEG, PNG, WebP, GIF, HEIC/HEIF, AVIF');
+  }
+
+  const normalizedType = declaredType ? declaredType.trim().toLowerCase() : null;
+  if (normalizedType && !FORMATS[format].contentTypes.includes(normalizedType)) {
+    throw imageError('IMAGE_TYPE_MISMATCH', `The image was declared as ${normalizedType} but its content is ${FORMATS[format].contentType}.`);
+  }
+
+  const dimensions = getImageDimensions(buffer, format);
+  if (!dimensions) {
+    throw imageError('CORRUPT_IMAGE', `The ${format.toUpperCase()} image is corrupt or truncated.`);
+  }
+
+  return {
+    format: format,
+    contentType: FORMATS[format].contentType,
+    extension: FORMATS[format].extension,
+    width: dimensions.width,
+    height: dimensions.height,
+  };
+}
+
+module.exports = {
+  sniffImageFormat,
+  getImageDimensions,
+  validateImage,
+};
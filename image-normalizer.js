@@ -0,0 +1,97 @@
+/**
+ * Image Normalizer
+ * Turns an uploaded image into what a provider handles best, ahead of the vendor call.
+ * Each provider declares imageRequirements { formats, maxDimension }:
+ * - formats it does not accept (HEIC/HEIF, AVIF, ...) are transcoded to JPEG
+ * - images larger than maxDimension on their long side are downscaled to fit
+ * Images already within both limits are left as they are.
+ *
+ * HEIC is decoded through image-decoder.js (libheif). Images that cannot be decoded fail with
+ * IMAGE_TRANSCODE_FAILED.
+ */
+
+const { openImage } = require('./image-decoder');
+
+const JPEG_QUALITY = 90;
+
+// Output settings for each format a normalized image can be written in
+const OUTPUT_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', options: { quality: JPEG_QUALITY, mozjpeg: true } },
+  png: { contentType: 'image/png', extension: 'png', options: {} },
+  webp: { contentType: 'image/webp', extension: 'webp', options: { quality: JPEG_QUALITY } },
+};
+
+/**
+ * What has to change for a provider, if anything
+ * @param {Object} image - { format, width, height }
+ * @param {Object} requirements - Provider imageRequirements { formats, maxDimension }
+ * @returns {Object} { transcode, resize }
+ */
+function getNormalizationPlan(image, requirements) {
+  return {
+    transcode: !requirements.formats.includes(image.format),
+    resize: !!requirements.maxDimension && Math.max(image.width, image.height) > requirements.maxDimension,
+  };
+}
+
+/**
+ * Normalize an image for a provider
+ * @param {Object} image - Validated image { data, format, width, height }
+ * @param {Object} requirements - Provider imageRequirements { formats, maxDimension }
+ * @returns {Promise<Object|null>} { data, contentType, extension, width, height, transcoded, resized },
+ *                                 or null when the image already meets the requirements
+ */
+async function normalizeImage(image, requirements) {
+  const plan = getNormalizationPlan(image, requirements);
+  if (!plan.transcode && !plan.resize) {
+    return null;
+  }
+
+  // GIFs are re-encoded as JPEG (first frame) rather than as a resized GIF
+  const outputFormat = !plan.transcode && OUTPUT_FORMATS[image.format] ? image.format : 'jpeg';
+  const output = OUTPUT_FORMATS[outputFormat];
+
+  try {
+    // Bake in the EXIF orientation, since the copy's pixels are rewritten anyway
+    let pipeline = (await openImage(image.data)).rotate();
+    if (plan.resize) {
+      pipeline = pipeline.resize({
+        width: requirements.maxDimension,
+        height: requirements.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true,
+      });
+    }
+    if (outputFormat === 'jpeg') {
+      // JPEG has no alpha channel
+      pipeline = pipeline.flatten({ background: '#ffffff' });
+    }
+
+    const { data, info } = await pipeline
+      .withMetadata()
+      .toFormat(outputFormat, output.options)
+      .toBuffer({ resolveWithObject: true });
+
+    console.log(`Normalized ${image.format.toUpperCase()} ${image.width}x${image.height} -> ${outputFormat.toUpperCase()} ${info.width}x${info.height} (${(data.length / 1024).toFixed(2)}KB)`);
+
+    return {
+      data: data,
+      contentType: output.contentType,
+      extension: output.extension,
+      width: info.width,
+      height: info.height,
+      transcoded: plan.transcode,
+      resized: plan.resize,
+    };
+  } catch (error) {
+    throw Object.assign(new Error(`Could not convert the ${image.format.toUpperCase()} image for analysis: ${error.message}`), {
+      statusCode: 415,
+      errorCode: 'IMAGE_TRANSCODE_FAILED',
+    });
+  }
+}
+
+module.exports = {
+  getNormalizationPlan,
+  normalizeImage,
+};
@@ -0,0 +1,332 @@
+/**
+ * Image Provenance
+ * Reads what an image file says about its own origin, as a signal alongside the vendor score:
+ * - EXIF camera make/model, software and timestamps
+ * - XMP creator tool and IPTC digital source type
+ * - C2PA content credentials (claim generator and digital source type)
+ * - PNG text chunks written by Stable Diffusion front ends (prompt and sampler parameters)
+ *
+ * Metadata is easy to strip, so its absence says nothing; a known AI generator signature
+ * is treated as strong evidence and makes the verdict deepfake_detected (applyProvenance).
+ * C2PA manifests are read, not cryptographically verified.
+ */
+
+require('dotenv').config();
+
+const sharp = require('sharp');
+const { sniffImageFormat } = require('./image-format');
+
+// Known AI generators, matched against software, creator tool and claim generator fields
+const AI_GENERATORS = [
+  { name: 'DALL-E', pattern: /dall[-·\s]?e|openai|chatgpt/i },
+  { name: 'Midjourney', pattern: /midjourney/i },
+  { name: 'Stable Diffusion', pattern: /stable[\s-]?diffusion|stability\s?ai|automatic1111|comfyui|invokeai/i },
+  { name: 'Adobe Firefly', pattern: /firefly/i },
+  { name: 'Google Imagen', pattern: /\bimagen\b|gemini/i },
+  { name: 'Microsoft Designer', pattern: /bing image creator|microsoft designer/i },
+  { name: 'Leonardo.Ai', pattern: /leonardo\.?ai/i },
+  { name: 'NovelAI', pattern: /novelai/i },
+  { name: 'FLUX', pattern: /black forest labs/i },
+];
+
+// Photo editors; an edited photo is not AI-generated, but it is not straight from the camera either
+const EDITING_SOFTWARE = /photoshop|lightroom|gimp|snapseed|picsart|facetune|affinity|pixelmator|canva|vsco|meitu|faceapp/i;
+
+// IPTC digital source types meaning the image was (partly) made by a generative model
+const AI_SOURCE_TYPE = /(?:compositeWith)?trainedAlgorithmicMedia/i;
+
+// PNG text chunk keywords written by Stable Diffusion front ends (AUTOMATIC1111, ComfyUI)
+const AI_PNG_KEYWORDS = ['parameters', 'prompt', 'workflow'];
+
+// EXIF tags read (IFD0, and the Exif sub-IFD it points to)
+const EXIF_TAGS = {
+  make: 0x010F,
+  model: 0x0110,
+  software: 0x0131,
+  modified: 0x0132,
+  exifIfd: 0x8769,
+  original: 0x9003,
+  digitized: 0x9004,
+};
+
+/**
+ * Whether AI generator signatures may change the verdict
+ */
+function isProvenanceVerdictEnabled() {
+  return (process.env.PROVENANCE_AI_VERDICT || 'true').toLowerCase() === 'true';
+}
+
+/**
+ * Read the ASCII and LONG entries of one TIFF IFD
+ * @returns {Object} Values by tag number
+ */
+function readIfd(tiff, offset, littleEndian) {
+  const read16 = position => (littleEndian ? tiff.readUInt16LE(position) : tiff.readUInt16BE(position));
+  const read32 = position => (littleEndian ? tiff.readUInt32LE(position) : tiff.readUInt32BE(position));
+
+  const values = {};
+  const count = read16(offset);
+  for (let index = 0; index < count; index++) {
+    const entry = offset + 2 + index * 12;
+    const tag = read16(entry);
+    const type = read16(entry + 2);
+    const length = read32(entry + 4);
+    if (type === 2) {
+      // ASCII: stored inline when it fits in 4 bytes
+      const start = length <= 4 ? entry + 8 : read32(entry + 8);
+      values[tag] = tiff.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '').trim();
+    } else if (type === 4 || type === 13) {
+      // LONG / IFD offset
+      values[tag] = read32(entry + 8);
+    }
+  }
+  return values;
+}
+
+/**
+ * Convert an EXIF date ('YYYY:MM:DD HH:MM:SS', no time zone) to 'YYYY-MM-DDTHH:MM:SS'
+ */
+function formatExifDate(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}` : null;
+}
+
+/**
+ * Read camera, software and timestamp tags from a raw EXIF block
+ * @param {Buffer} exif - EXIF block from sharp metadata (with or without the 'Exif\0\0' header)
+ * @returns {Object} { make, model, software, timestamps: { original, digitized, modified } }
+ */
+function parseExif(exif) {
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return null;
+  }
+  const littleEndian = byteOrder === 'II';
+
+  try {
+    const ifd0 = readIfd(tiff, littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), littleEndian);
+    const exifIfd = ifd0[EXIF_TAGS.exifIfd] ? readIfd(tiff, ifd0[EXIF_TAGS.exifIfd], littleEndian) : {};
+    return {
+      make: ifd0[EXIF_TAGS.make] || null,
+      model: ifd0[EXIF_TAGS.model] || null,
+      software: ifd0[EXIF_TAGS.software] || null,
+      timestamps: {
+        original: formatExifDate(exifIfd[EXIF_TAGS.original]),
+        digitized: formatExifDate(exifIfd[EXIF_TAGS.digitized]),
+        modified: formatExifDate(ifd0[EXIF_TAGS.modified]),
+      },
+    };
+  } catch (error) {
+    // Offsets pointing past the end of a truncated block
+    return null;
+  }
+}
+
+/**
+ * Read one XMP property, written either as an attribute or as an element
+ */
+function getXmpProperty(xmp, name) {
+  const match = new RegExp(`${name}(?:="([^"]*)"|>([^<]*)<)`).exec(xmp);
+  return match ? (match[1] || match[2] || '').trim() || null : null;
+}
+
+/**
+ * Read the tEXt/iTXt chunks of a PNG
+ * @returns {Object[]} [{ keyword, text }]
+ */
+function readPngTextChunks(buffer) {
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (type === 'IDAT' || type === 'IEND') {
+      // Text after the image data is rare and not worth reading the pixels for
+      break;
+    }
+    if (type === 'tEXt' || type === 'iTXt') {
+      const data = buffer.subarray(offset + 8, Math.min(offset + 8 + length, buffer.length));
+      const separator = data.indexOf(0);
+      if (separator > 0) {
+        // iTXt: compression flag, method, language and translated keyword come before the text
+        const text = type === 'tEXt'
+          ? data.toString('latin1', separator + 1)
+          : data.toString('utf8', separator + 3).split('\0').slice(2).join('\0');
+        chunks.push({ keyword: data.toString('latin1', 0, separator), text: text });
+      }
+    }
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * Read a CBOR text string (major type 3) at an offset
+ */
+function readCborText(buffer, offset) {
+  const head = buffer[offset];
+  let length;
+  let start;
+  if (head >= 0x60 && head <= 0x77) {
+    length = head - 0x60;
+    start = offset + 1;
+  } else if (head === 0x78) {
+    length = buffer[offset + 1];
+    start = offset + 2;
+  } else if (head === 0x79 && offset + 3 <= buffer.length) {
+    length = buffer.readUInt16BE(offset + 1);
+    start = offset + 3;
+  } else {
+    return null;
+  }
+  return buffer.toString('utf8', start, Math.min(start + length, buffer.length));
+}
+
+/**
+ * Find a C2PA manifest (JUMBF boxes labelled 'c2pa') and read its claim generator
+ * and digital source type
+ * @returns {Object|null} { claimGenerator, digitalSourceType }
+ */
+function findContentCredentials(buffer) {
+  const store = buffer.indexOf('jumb', 0, 'latin1');
+  if (store === -1 || buffer.indexOf('c2pa', store, 'latin1') === -1) {
+    return null;
+  }
+
+  let claimGenerator = null;
+  const key = buffer.indexOf('claim_generator', store, 'latin1');
+  if (key !== -1) {
+    const afterKey = key + 'claim_generator'.length;
+    if (buffer.toString('latin1', afterKey, afterKey + 5) === '_info') {
+      // v2 claims: claim_generator_info is a map; its 'name' entry names the tool
+      const name = buffer.indexOf('name', afterKey, 'latin1');
+      claimGenerator = name !== -1 && name - afterKey < 64 ? readCborText(buffer, name + 4) : null;
+    } else {
+      claimGenerator = readCborText(buffer, afterKey);
+    }
+  }
+
+  // Declared by the c2pa.actions assertion; 'composite' means AI was used on part of the image
+  const digitalSourceType = buffer.indexOf('compositeWithTrainedAlgorithmicMedia', store, 'latin1') !== -1
+    ? 'compositeWithTrainedAlgorithmicMedia'
+    : buffer.indexOf('trainedAlgorithmicMedia', store, 'latin1') !== -1 ? 'trainedAlgorithmicMedia' : null;
+
+  return {
+    claimGenerator: claimGenerator,
+    digitalSourceType: digitalSourceType,
+  };
+}
+
+/**
+ * Match a value against the known AI generators
+ */
+function matchAiGenerator(value) {
+  if (!value) {
+    return null;
+  }
+  const generator = AI_GENERATORS.find(candidate => candidate.pattern.test(value));
+  return generator ? generator.name : null;
+}
+
+/**
+ * Extract provenance information from an image
+ * Never throws; unreadable metadata gives an empty block.
+ * @param {Buffer} buffer - Image bytes (the uploaded original, before normalization)
+ * @returns {Promise<Object>} { camera, software, edited, timestamps, contentCredentials, aiGenerator }
+ */
+async function analyzeProvenance(buffer) {
+  let metadata = {};
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    console.warn(`Could not read image metadata: ${error.message}`);
+  }
+
+  const exif = metadata.exif ? parseExif(metadata.exif) : null;
+  const xmp = metadata.xmp ? metadata.xmp.toString('utf8') : '';
+  const creatorTool = xmp ? getXmpProperty(xmp, 'xmp:CreatorTool') : null;
+  const xmpSourceType = xmp ? getXmpProperty(xmp, 'Iptc4xmpExt:DigitalSourceType') : null;
+  const pngText = sniffImageFormat(buffer) === 'png' ? readPngTextChunks(buffer) : [];
+  const pngSoftware = pngText.find(chunk => chunk.keyword === 'Software')?.text || null;
+  const contentCredentials = findContentCredentials(buffer);
+
+  const software = exif?.software || creatorTool || pngSoftware || null;
+
+  // Strongest evidence first: a manifest or IPTC source type declaring generative AI, then tool names
+  let aiGenerator = null;
+  if (contentCredentials && contentCredentials.digitalSourceType) {
+    aiGenerator = { name: matchAiGenerator(contentCredentials.claimGenerator) || contentCredentials.claimGenerator || 'Unknown AI generator', source: 'c2pa' };
+  } else if (xmpSourceType && AI_SOURCE_TYPE.test(xmpSourceType)) {
+    aiGenerator = { name: matchAiGenerator(creatorTool) || 'Unknown AI generator', source: 'xmp' };
+  } else {
+    const candidates = [
+      { value: contentCredentials?.claimGenerator, source: 'c2pa' },
+      { value: creatorTool, source: 'xmp' },
+      { value: exif?.software, source: 'exif' },
+      { value: exif?.make, source: 'exif' },
+      { value: pngSoftware, source: 'png_text' },
+    ];
+    for (const candidate of candidates) {
+      const name = matchAiGenerator(candidate.value);
+      if (name) {
+        aiGenerator = { name: name, source: candidate.source };
+        break;
+      }
+    }
+    if (!aiGenerator && pngText.some(chunk => AI_PNG_KEYWORDS.includes(chunk.keyword))) {
+      aiGenerator = { name: 'Stable Diffusion', source: 'png_text' };
+    }
+  }
+
+  if (aiGenerator) {
+    console.log(`🔎 Provenance: AI generator signature found (${aiGenerator.name}, from ${aiGenerator.source})`);
+  }
+
+  return {
+    camera: exif && (exif.make || exif.model) ? { make: exif.make, model: exif.model } : null,
+    software: software,
+    edited: !!software && EDITING_SOFTWARE.test(software),
+    timestamps: exif ? exif.timestamps : { original: null, digitized: null, modified: null },
+    contentCredentials: contentCredentials,
+    aiGenerator: aiGenerator,
+  };
+}
+
+/**
+ * Add the provenance block to an analysis, and let an AI generator signature decide the verdict
+ * @param {Object} analysis - Normalized analysis from a provider (or the result cache)
+ * @param {Object|null} provenance - Result of analyzeProvenance (null for URL scans)
+ * @returns {Object} The analysis with `provenance` (and `verdictSource` when metadata overrode the vendor)
+ */
+function applyProvenance(analysis, provenance) {
+  if (!provenance) {
+    return analysis;
+  }
+
+  if (!provenance.aiGenerator || analysis.status === 'deepfake_detected' || !isProvenanceVerdictEnabled()) {
+    return { ...analysis, provenance: provenance };
+  }
+
+  console.log(`Provenance overrides ${analysis.status} verdict: made with ${provenance.aiGenerator.name}`);
+  // An unverifiable result's reason no longer applies
+  const { reason, ...vendorAnalysis } = analysis;
+  return {
+    ...vendorAnalysis,
+    status: 'deepfake_detected',
+    iconType: 'warning',
+    primaryMessage: `This image's own metadata says it was created or altered with an AI generator (${provenance.aiGenerator.name}).`,
+    // The vendor's confidence was for its own verdict
+    confidence: null,
+    ai_generated: true,
+    verdictSource: 'provenance',
+    vendorStatus: analysis.status,
+    provenance: provenance,
+  };
+}
+
+module.exports = {
+  analyzeProvenance,
+  applyProvenance,
+  parseExif,
+};
@@ -0,0 +1,254 @@
+/**
+ * Image Quality
+ * Assesses an uploaded image before detection, so a result can say why it came back unverifiable.
+ * - resolution: pixel dimensions against QUALITY_LOW_RESOLUTION
+ * - JPEG quality: estimated from the luminance quantization table (IJG scale, 1-100)
+ * - sharpness: variance of the Laplacian on a downscaled greyscale copy (low = blurry)
+ * - blockiness: gradient across 8x8 block edges relative to inside blocks (high = heavy
+ *   compression; high despite a high declared quality = recompressed from a worse copy)
+ *
+ * The assessment never fails a scan; what cannot be measured is reported as null.
+ */
+
+require('dotenv').config();
+
+const sharp = require('sharp');
+const { openImage } = require('./image-decoder');
+
+// Shorter side (pixels) below which detection gets unreliable
+const LOW_RESOLUTION = parseInt(process.env.QUALITY_LOW_RESOLUTION || '480', 10);
+// Laplacian variance below which an image counts as blurry
+const BLUR_THRESHOLD = parseFloat(process.env.QUALITY_BLUR_THRESHOLD || '30');
+// Estimated JPEG quality below which an image counts as heavily compressed
+const LOW_JPEG_QUALITY = 40;
+// Block-edge to in-block gradient ratio above which compression artifacts dominate
+const BLOCKINESS_THRESHOLD = 2.5;
+// Size of the copy sharpness is measured on, and of the centre crop blockiness is measured on
+const SHARPNESS_SIZE = 512;
+const BLOCKINESS_SIZE = 1024;
+// At least this many megapixels (and no issues) is reported as high resolution
+const HIGH_RESOLUTION_MEGAPIXELS = 2;
+
+// IJG standard luminance quantization table (quality 50), in natural order
+const STANDARD_LUMINANCE_TABLE = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+const STANDARD_LUMINANCE_SUM = STANDARD_LUMINANCE_TABLE.reduce((sum, value) => sum + value, 0);
+
+// Quality issues, most serious first; the first one found names the label and reason code
+const ISSUES = {
+  low_resolution: { label: 'Low Resolution', message: 'The image resolution is too low to show the fine detail detection relies on.' },
+  blurry: { label: 'Blurry', message: 'The image is blurry or out of focus.' },
+  heavy_compression: { label: 'Heavily Compressed', message: 'The image is heavily compressed, which hides the fine detail detection relies on.' },
+  recompressed: { label: 'Recompressed', message: 'The image has been saved again from a lower-quality copy (for example a screenshot or a messaging app download).' },
+};
+
+/**
+ * Estimate the quality a JPEG was saved at from its luminance quantization table
+ * Images saved with non-IJG tables (some cameras, Photoshop) get the closest IJG quality.
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {number|null} 1-100, or null if there is no luminance table
+ */
+function estimateJpegQuality(buffer) {
+  let offset = 2;
+  while (offset + 4 < buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // Start of scan: the tables all come before it
+    if (marker === 0xDA) {
+      break;
+    }
+    if (marker === 0xDB) {
+      let position = offset + 4;
+      const end = Math.min(offset + 2 + length, buffer.length);
+      while (position < end) {
+        const precision = buffer[position] >> 4;
+        const tableId = buffer[position] & 0x0F;
+        const valueSize = precision ? 2 : 1;
+        if (tableId === 0 && position + 1 + 64 * valueSize <= end) {
+          // Sums are the same in zigzag and natural order
+          let sum = 0;
+          for (let index = 0; index < 64; index++) {
+            sum += valueSize === 2 ? buffer.readUInt16BE(position + 1 + index * 2) : buffer[position + 1 + index];
+          }
+          const scale = (sum * 100) / STANDARD_LUMINANCE_SUM;
+          const quality = scale <= 100 ? (200 - scale) / 2 : 5000 / scale;
+          return Math.max(1, Math.min(100, Math.round(quality)));
+        }
+        position += 1 + 64 * valueSize;
+      }
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Variance of the Laplacian of a greyscale copy (higher is sharper)
+ */
+async function measureSharpness(buffer) {
+  const { data, info } = await (await openImage(buffer))
+    .rotate()
+    .greyscale()
+    .resize({ width: SHARPNESS_SIZE, height: SHARPNESS_SIZE, fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const width = info.width;
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for (let y = 1; y < info.height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const index = y * width + x;
+      const laplacian = data[index - 1] + data[index + 1] + data[index - width] + data[index + width] - 4 * data[index];
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  const mean = sum / count;
+  return sumOfSquares / count - mean * mean;
+}
+
+/**
+ * Mean gradient across 8x8 block edges divided by the mean gradient inside blocks
+ * Measured on a block-aligned centre crop at full resolution, in stored orientation.
+ */
+async function measureBlockiness(buffer, width, height) {
+  const size = Math.min(BLOCKINESS_SIZE, width, height);
+  const { data, info } = await sharp(buffer)
+    .extract({
+      left: Math.floor((width - size) / 2) & ~7,
+      top: Math.floor((height - size) / 2) & ~7,
+      width: size,
+      height: size,
+    })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const cropWidth = info.width;
+  let edgeSum = 0;
+  let edgeCount = 0;
+  let innerSum = 0;
+  let innerCount = 0;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < cropWidth; x++) {
+      const index = y * cropWidth + x;
+      if (x < cropWidth - 1) {
+        const difference = Math.abs(data[index + 1] - data[index]);
+        if (x % 8 === 7) {
+          edgeSum += difference;
+          edgeCount++;
+        } else {
+          innerSum += difference;
+          innerCount++;
+        }
+      }
+      if (y < info.height - 1) {
+        const difference = Math.abs(data[index + cropWidth] - data[index]);
+        if (y % 8 === 7) {
+          edgeSum += difference;
+          edgeCount++;
+        } else {
+          innerSum += difference;
+          innerCount++;
+        }
+      }
+    }
+  }
+  // A flat crop has no gradients to compare
+  return innerSum > 0 ? (edgeSum / edgeCount) / (innerSum / innerCount) : null;
+}
+
+/**
+ * Assess an image's quality for detection
+ * @param {Object} image - Validated image { data, format, width, height }
+ * @returns {Promise<Object>} { label, reason, issues, width, height, megapixels, jpegQuality,
+ *                             sharpness, blockiness }; reason is null when there are no issues
+ */
+async function assessImageQuality(image) {
+  const megapixels = Math.round((image.width * image.height) / 10000) / 100;
+  const jpegQuality = image.format === 'jpeg' ? estimateJpegQuality(image.data) : null;
+
+  let sharpness = null;
+  let blockiness = null;
+  try {
+    sharpness = await measureSharpness(image.data);
+    if (image.format === 'jpeg') {
+      blockiness = await measureBlockiness(image.data, image.width, image.height);
+    }
+  } catch (error) {
+    // Images that cannot be decoded are assessed on resolution alone
+    console.warn(`Could not measure image sharpness: ${error.message}`);
+  }
+
+  const issues = [];
+  if (Math.min(image.width, image.height) < LOW_RESOLUTION) {
+    issues.push('low_resolution');
+  }
+  if (sharpness !== null && sharpness < BLUR_THRESHOLD) {
+    issues.push('blurry');
+  }
+  if ((jpegQuality !== null && jpegQuality < LOW_JPEG_QUALITY) || (blockiness !== null && blockiness > BLOCKINESS_THRESHOLD)) {
+    // Artifacts the declared quality cannot explain mean an earlier, worse save
+    issues.push(jpegQuality !== null && jpegQuality >= LOW_JPEG_QUALITY ? 'recompressed' : 'heavy_compression');
+  }
+
+  const label = issues.length > 0
+    ? ISSUES[issues[0]].label
+    : megapixels >= HIGH_RESOLUTION_MEGAPIXELS ? 'High Resolution' : 'Standard Quality';
+
+  console.log(`Image quality: ${label} (${image.width}x${image.height}, JPEG quality ${jpegQuality ?? 'n/a'}, sharpness ${sharpness !== null ? sharpness.toFixed(1) : 'n/a'}, blockiness ${blockiness !== null ? blockiness.toFixed(2) : 'n/a'})`);
+
+  return {
+    label: label,
+    reason: issues.length > 0 ? issues.map(issue => ISSUES[issue].message).join(' ') : null,
+    issues: issues,
+    width: image.width,
+    height: image.height,
+    megapixels: megapixels,
+    jpegQuality: jpegQuality,
+    sharpness: sharpness !== null ? Math.round(sharpness * 10) / 10 : null,
+    blockiness: blockiness !== null ? Math.round(blockiness * 100) / 100 : null,
+  };
+}
+
+/**
+ * Put a quality assessment into a normalized analysis
+ * Sets metadata.imageQuality and `quality`; an unverifiable result with quality issues also gets
+ * the first issue as `reason` and its explanation as the primary message.
+ * @param {Object} analysis - Normalized analysis
+ * @param {Object|null} quality - Result of assessImageQuality (null when the bytes were not available)
+ * @returns {Object} The analysis
+ */
+function applyImageQuality(analysis, quality) {
+  if (!quality) {
+    return analysis;
+  }
+
+  const result = {
+    ...analysis,
+    metadata: { ...analysis.metadata, imageQuality: quality.label },
+    quality: quality,
+  };
+  if (analysis.status === 'unverifiable' && quality.issues.length > 0) {
+    result.reason = quality.issues[0];
+    result.primaryMessage = `We could not verify this image. ${quality.reason}`;
+  }
+  return result;
+}
+
+module.exports = {
+  estimateJpegQuality,
+  assessImageQuality,
+  applyImageQuality,
+};
@@ -0,0 +1,158 @@
+/**
+ * Image Uploads
+ * Direct-to-S3 uploads for /analyze, so large images skip the API Gateway payload limit
+ * (10MB, and base64 adds a third). POST /analyze/upload-url hands out a presigned PUT for
+ * a key under the caller's own prefix; /analyze then takes that `uploadKey` instead of
+ * `image` and checks ownership, content type and size before any token is reserved.
+ * Uploaded originals expire from the uploads/ prefix via a bucket lifecycle rule; the
+ * scan keeps its own content-addressed copy under images/.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+// Presigned URLs need Signature v4 (the only version newer regions accept)
+const s3 = new AWS.S3({ signatureVersion: 'v4' });
+
+const UPLOAD_PREFIX = 'uploads';
+const UPLOAD_URL_EXPIRES_SECONDS = parseInt(process.env.UPLOAD_URL_EXPIRES_SECONDS || '300', 10);
+// Same limit as base64 images
+const MAX_UPLOAD_SIZE = 20 * 1024 * 1024;
+
+// Accepted content types and the extension their objects are stored with
+const UPLOAD_CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  // Transcoded to JPEG before detection (image-normalizer.js)
+  'image/heic': 'heic',
+  'image/heif': 'heif',
+  'image/avif': 'avif',
+};
+
+/**
+ * Build an Error carrying the HTTP status to return
+ */
+function uploadError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Create a presigned PUT URL for one image upload
+ * The client must send the same Content-Type header it asked for.
+ * @param {string} userId - Cognito user ID (scopes the key)
+ * @param {string} contentType - Image content type
+ * @param {string} bucketName - Image bucket
+ * @returns {Promise<Object>} { uploadUrl, uploadKey, contentType, maxSize, expiresIn }
+ */
+async function createUploadUrl(userId, contentType, bucketName) {
+  const normalizedType = String(contentType || '').trim().toLowerCase();
+  const extension = UPLOAD_CONTENT_TYPES[normalizedType];
+  if (!extension) {
+    throw uploadError(400, `Unsupported content type. Supported types: ${Object.keys(UPLOAD_CONTENT_TYPES).join(', ')}`);
+  }
+
+  const uploadKey = `${UPLOAD_PREFIX}/${userId}/${uuidv4()}.${extension}`;
+  const uploadUrl = await s3.getSignedUrlPromise('putObject', {
+    Bucket: bucketName,
+    Key: uploadKey,
+    ContentType: normalizedType,
+    Expires: UPLOAD_URL_EXPIRES_SECONDS,
+  });
+
+  console.log(`Created upload URL for user ${userId}: ${uploadKey}`);
+  return {
+    uploadUrl: uploadUrl,
+    uploadKey: uploadKey,
+    contentType: normalizedType,
+    maxSize: MAX_UPLOAD_SIZE,
+    expiresIn: UPLOAD_URL_EXPIRES_SECONDS,
+  };
+}
+
+/**
+ * Check that an uploaded object belongs to the caller and is an acceptable image
+ * Throws an Error with statusCode 403 (not the caller's key), 400 (missing or wrong type)
+ * or 413 (too large).
+ * @param {string} userId - Cognito user ID
+ * @param {string} uploadKey - Key returned by createUploadUrl
+ * @param {string} bucketName - Image bucket
+ * @returns {Promise<Object>} { contentType, extension, size, etag }
+ */
+async function verifyUpload(userId, uploadKey, bucketName) {
+  const key = String(uploadKey);
+  if (!key.startsWith(`${UPLOAD_PREFIX}/${userId}/`) || key.includes('..')) {
+    throw uploadError(403, 'This upload does not belong to you.');
+  }
+
+  let head;
+  try {
+    head = await s3.headObject({ Bucket: bucketName, Key: key }).promise();
+  } catch (error) {
+    if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+      throw uploadError(400, 'Upload not found. Upload the image to the upload URL first, or request a new one.');
+    }
+    throw error;
+  }
+
+  const contentType = String(head.ContentType || '').toLowerCase();
+  const extension = UPLOAD_CONTENT_TYPES[contentType];
+  if (!extension) {
+    throw uploadError(400, `Unsupported content type "${head.ContentType}". Supported types: ${Object.keys(UPLOAD_CONTENT_TYPES).join(', ')}`);
+  }
+
+  if (head.ContentLength > MAX_UPLOAD_SIZE) {
+    const sizeMB = (head.ContentLength / (1024 * 1024)).toFixed(2);
+    throw uploadError(413, `Image too large: ${sizeMB}MB. Maximum size is 20MB. Please compress or resize the image.`);
+  }
+
+  return {
+    contentType: contentType,
+    extension: extension,
+    size: head.ContentLength,
+    etag: head.ETag,
+  };
+}
+
+/**
+ * Read an uploaded image
+ * Pinned to the verified version: the presigned URL may still be live, and a re-upload
+ * between verifyUpload and this read must not slip past the checks.
+ * @param {string} uploadKey - Key checked by verifyUpload
+ * @param {Object} upload - Result of verifyUpload
+ * @param {string} bucketName - Image bucket
+ * @returns {Promise<Buffer>} Image bytes
+ */
+async function getUploadedImage(uploadKey, upload, bucketName) {
+  try {
+    const object = await s3.getObject({ Bucket: bucketName, Key: uploadKey, IfMatch: upload.etag }).promise();
+    return object.Body;
+  } catch (error) {
+    if (error.code === 'PreconditionFailed') {
+      throw uploadError(409, 'The upload changed while it was being checked. Please try again.');
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  createUploadUrl,
+  verifyUpload,
+  getUploadedImage,
+};
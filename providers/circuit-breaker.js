@@ -0,0 +1,337 @@
+/**
+ * Provider Circuit Breaker
+ * Per-provider health shared by every Lambda instance through DynamoDB.
+ *
+ * Each provider call adds to a one-minute window item (requests, failures, slow calls).
+ * When the recent windows show too many failures or slow calls the breaker opens and
+ * the provider is skipped until BREAKER_OPEN_SECONDS pass. Then one instance claims a
+ * half-open probe: a good call closes the breaker, a bad one opens it again.
+ *
+ * Only vendor-side problems count as failures (5xx, 429, timeouts, network errors);
+ * a vendor rejecting one image says nothing about its health. Breaker storage errors
+ * never block a scan - the breaker then lets the call through.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const PROVIDER_HEALTH_TABLE = process.env.PROVIDER_HEALTH_TABLE || 'image-analysis-dev-provider-health';
+
+const WINDOW_BUCKET_MS = 60 * 1000;
+const WINDOW_MS = parseInt(process.env.BREAKER_WINDOW_SECONDS || '300', 10) * 1000;
+const MIN_REQUESTS = parseInt(process.env.BREAKER_MIN_REQUESTS || '5', 10);
+const FAILURE_RATE_THRESHOLD = parseFloat(process.env.BREAKER_FAILURE_RATE || '50') / 100;
+const SLOW_CALL_MS = parseInt(process.env.BREAKER_SLOW_CALL_MS || '10000', 10);
+const SLOW_CALL_RATE_THRESHOLD = parseFloat(process.env.BREAKER_SLOW_CALL_RATE || '50') / 100;
+const OPEN_MS = parseInt(process.env.BREAKER_OPEN_SECONDS || '60', 10) * 1000;
+// A half-open probe older than this is assumed dead (its Lambda was killed) and can be re-claimed
+const PROBE_TIMEOUT_MS = 90 * 1000;
+
+const STATE_KEY = 'state';
+
+/**
+ * Sort key of the window bucket containing a timestamp
+ * Zero-padded so keys sort by time.
+ */
+function getWindowKey(timestampMs) {
+  const bucketStart = Math.floor(timestampMs / WINDOW_BUCKET_MS) * WINDOW_BUCKET_MS;
+  return `window#${String(bucketStart).padStart(15, '0')}`;
+}
+
+/**
+ * Read a provider's breaker state
+ * @param {string} providerName - Provider name
+ * @returns {Promise<Object>} { state: 'closed'|'open'|'half_open', openedAt, openUntil, probeStartedAt, reason }
+ */
+async function getBreakerState(providerName) {
+  const result = await dynamodb.get({
+    TableName: PROVIDER_HEALTH_TABLE,
+    Key: { provider: providerName, recordKey: STATE_KEY },
+  }).promise();
+
+  const item = result.Item || {};
+  return {
+    state: item.state || 'closed',
+    openedAt: item.openedAt || null,
+    openUntil: item.openUntil || null,
+    probeStartedAt: item.probeStartedAt || null,
+    reason: item.reason || null,
+  };
+}
+
+/**
+ * Sum the window buckets of the last BREAKER_WINDOW_SECONDS
+ * @param {string} providerName - Provider name
+ * @returns {Promise<Object>} { requests, failures, slowCalls, averageLatencyMs, failureRate, slowCallRate }
+ */
+async function getWindowStats(providerName) {
+  const now = Date.now();
+  const result = await dynamodb.query({
+    TableName: PROVIDER_HEALTH_TABLE,
+    KeyConditionExpression: 'provider = :provider AND recordKey BETWEEN :from AND :to',
+    ExpressionAttributeValues: {
+      ':provider': providerName,
+      ':from': getWindowKey(now - WINDOW_MS),
+      ':to': getWindowKey(now),
+    },
+  }).promise();
+
+  const totals = (result.Items || []).reduce((sum, item) => ({
+    requests: sum.requests + (item.requests || 0),
+    failures: sum.failures + (item.failures || 0),
+    slowCalls: sum.slowCalls + (item.slowCalls || 0),
+    totalLatencyMs: sum.totalLatencyMs + (item.totalLatencyMs || 0),
+  }), { requests: 0, failures: 0, slowCalls: 0, totalLatencyMs: 0 });
+
+  return {
+    requests: totals.requests,
+    failures: totals.failures,
+    slowCalls: totals.slowCalls,
+    averageLatencyMs: totals.requests > 0 ? Math.round(totals.totalLatencyMs / totals.requests) : null,
+    failureRate: totals.requests > 0 ? totals.failures / totals.requests : 0,
+    slowCallRate: totals.requests > 0 ? totals.slowCalls / totals.requests : 0,
+  };
+}
+
+/**
+ * Decide whether the window stats should open the breaker
+ * @returns {string|null} Reason to open, or null
+ */
+function getTripReason(stats) {
+  if (stats.requests < MIN_REQUESTS) {
+    return null;
+  }
+  if (stats.failureRate >= FAILURE_RATE_THRESHOLD) {
+    return `failure rate ${Math.round(stats.failureRate * 100)}% over ${stats.requests} calls`;
+  }
+  if (stats.slowCallRate >= SLOW_CALL_RATE_THRESHOLD) {
+    return `slow call rate ${Math.round(stats.slowCallRate * 100)}% over ${stats.requests} calls`;
+  }
+  return null;
+}
+
+/**
+ * Write the breaker state
+ * @param {string} providerName - Provider name
+ * @param {string} state - New state
+ * @param {Object} fields - Extra fields (openedAt, openUntil, probeStartedAt, reason)
+ * @param {Object} condition - { ConditionExpression, ExpressionAttributeValues } guarding the transition
+ * @returns {Promise<boolean>} False if the condition failed (another instance moved it first)
+ */
+async function setBreakerState(providerName, state, fields = {}, condition = null) {
+  const params = {
+    TableName: PROVIDER_HEALTH_TABLE,
+    Item: {
+      provider: providerName,
+      recordKey: STATE_KEY,
+      state: state,
+      openedAt: fields.openedAt || null,
+      openUntil: fields.openUntil || null,
+      probeStartedAt: fields.probeStartedAt || null,
+      reason: fields.reason || null,
+      updatedAt: new Date().toISOString(),
+    },
+  };
+  if (condition) {
+    params.ConditionExpression = condition.ConditionExpression;
+    params.ExpressionAttributeNames = { '#state': 'state' };
+    params.ExpressionAttributeValues = condition.ExpressionAttributeValues;
+  }
+
+  try {
+    await dynamodb.put(params).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a provider may be called now
+ * An open breaker past its cool-down lets exactly one caller through as a probe.
+ * @param {string} providerName - Provider name
+ * @returns {Promise<boolean>} True if the call may go ahead
+ */
+async function canAttempt(providerName) {
+  try {
+    const breaker = await getBreakerState(providerName);
+    const now = Date.now();
+
+    if (breaker.state === 'closed') {
+      return true;
+    }
+
+    if (breaker.state === 'open' && now < breaker.openUntil) {
+      return false;
+    }
+
+    if (breaker.state === 'half_open' && breaker.probeStartedAt && now - breaker.probeStartedAt < PROBE_TIMEOUT_MS) {
+      // Another instance is probing
+      return false;
+    }
+
+    // Cool-down over (or the last probe died): claim the probe
+    const claimed = await setBreakerState(providerName, 'half_open', {
+      openedAt: breaker.openedAt,
+      probeStartedAt: now,
+      reason: breaker.reason,
+    }, {
+      ConditionExpression: '#state = :state AND (attribute_not_exists(probeStartedAt) OR probeStartedAt = :probeStartedAt OR attribute_type(probeStartedAt, :nullType))',
+      ExpressionAttributeValues: {
+        ':state': breaker.state,
+        ':probeStartedAt': breaker.probeStartedAt,
+        ':nullType': 'NULL',
+      },
+    });
+
+    if (claimed) {
+      console.log(`🔌 Circuit for ${providerName} is half-open, probing`);
+    }
+    return claimed;
+  } catch (error) {
+    console.error(`Circuit breaker check failed for ${providerName}, allowing call:`, error.message);
+    return true;
+  }
+}
+
+/**
+ * Record the outcome of a provider call and move the breaker if needed
+ * @param {string} providerName - Provider name
+ * @param {Object} outcome - { success, latencyMs }
+ */
+async function recordOutcome(providerName, { success, latencyMs }) {
+  const now = Date.now();
+  const slow = latencyMs >= SLOW_CALL_MS;
+
+  try {
+    await dynamodb.update({
+      TableName: PROVIDER_HEALTH_TABLE,
+      Key: { provider: providerName, recordKey: getWindowKey(now) },
+      UpdateExpression: 'ADD requests :one, failures :failed, slowCalls :slow, totalLatencyMs :latency SET expiresAt = :expiresAt',
+      ExpressionAttributeValues: {
+        ':one': 1,
+        ':failed': success ? 0 : 1,
+        ':slow': slow ? 1 : 0,
+        ':latency': latencyMs,
+        ':expiresAt': Math.floor((now + WINDOW_MS) / 1000) + 24 * 60 * 60,
+      },
+    }).promise();
+
+    const breaker = await getBreakerState(providerName);
+
+    if (breaker.state === 'half_open') {
+      if (success && !slow) {
+        await setBreakerState(providerName, 'closed');
+        console.log(`✅ Circuit for ${providerName} closed after a good probe`);
+      } else {
+        await setBreakerState(providerName, 'open', {
+          openedAt: now,
+          openUntil: now + OPEN_MS,
+          reason: 'probe failed',
+        });
+        console.warn(`⚠️ Circuit for ${providerName} re-opened: probe failed`);
+      }
+      return;
+    }
+
+    if (breaker.state === 'closed' && (!success || slow)) {
+      const reason = getTripReason(await getWindowStats(providerName));
+      if (reason) {
+        const opened = await setBreakerState(providerName, 'open', {
+          openedAt: now,
+          openUntil: now + OPEN_MS,
+          reason: reason,
+        }, {
+          ConditionExpression: 'attribute_not_exists(#state) OR #state = :closed',
+          ExpressionAttributeValues: { ':closed': 'closed' },
+        });
+        if (opened) {
+          console.warn(`⚠️ Circuit for ${providerName} opened: ${reason}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to record outcome for ${providerName}:`, error.message);
+  }
+}
+
+/**
+ * Call a provider's detect() through its breaker
+ * Throws a 503 error flagged providerUnavailable when the breaker is open.
+ * @param {Object} provider - Provider module
+ * @param {Object} input - detect() input
+ * @returns {Promise<Object>} Normalized analysis
+ */
+async function detectWithBreaker(provider, input) {
+  if (!(await canAttempt(provider.name))) {
+    throw Object.assign(new Error(`${provider.name} is temporarily unavailable (circuit open)`), {
+      statusCode: 503,
+      providerUnavailable: true,
+      circuitOpen: true,
+    });
+  }
+
+  const startTime = Date.now();
+  try {
+    const analysis = await provider.detect(input);
+    await recordOutcome(provider.name, { success: true, latencyMs: Date.now() - startTime });
+    return analysis;
+  } catch (error) {
+    await recordOutcome(provider.name, { success: !error.providerUnavailable, latencyMs: Date.now() - startTime });
+    throw error;
+  }
+}
+
+/**
+ * Breaker state and recent stats for each provider (for /health)
+ * @param {string[]} providerNames - Provider names
+ * @returns {Promise<Object>} { [provider]: { state, openUntil, reason, window } }
+ */
+async function getBreakerStates(providerNames) {
+  const states = {};
+  for (const providerName of providerNames) {
+    try {
+      const [breaker, window] = await Promise.all([
+        getBreakerState(providerName),
+        getWindowStats(providerName),
+      ]);
+      states[providerName] = {
+        state: breaker.state,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        openUntil: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+        reason: breaker.reason,
+        window: window,
+      };
+    } catch (error) {
+      states[providerName] = { state: 'unknown', error: error.message };
+    }
+  }
+  return states;
+}
+
+module.exports = {
+  canAttempt,
+  recordOutcome,
+  detectWithBreaker,
+  getBreakerStates,
+  getTripReason,
+};
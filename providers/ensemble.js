@@ -0,0 +1,260 @@
+/**
+ * Ensemble Provider
+ * Runs every member provider in parallel on the same image and combines their
+ * AI scores into one verdict. The scan is still charged a single token.
+ *
+ * Agreement rules:
+ * - The combined score is the weighted mean of the members that returned a score
+ *   (weights are renormalized over those members), judged against the ensemble thresholds.
+ * - Members that disagree (opposite verdicts, or scores further apart than
+ *   ENSEMBLE_DISAGREEMENT_DELTA) set `disagreement`; opposite verdicts force `unverifiable`.
+ * - Fewer than ENSEMBLE_MIN_PROVIDERS members answering fails the scan (the token is released).
+ * - Members whose circuit breaker is open are skipped and reported as errors.
+ */
+
+require('dotenv').config();
+
+const sightengine = require('./sightengine');
+const gowinston = require('./gowinston');
+const { detectWithBreaker } = require('./circuit-breaker');
+
+const MEMBERS = {
+  [sightengine.name]: sightengine,
+  [gowinston.name]: gowinston,
+};
+
+const VERDICTS = {
+  authentic: {
+    iconType: 'success',
+    primaryMessage: 'Photo passed authenticity checks. No manipulation detected.',
+  },
+  deepfake_detected: {
+    iconType: 'warning',
+    primaryMessage: 'We can say with high confidence that this image was partially or completely created or altered using AI.',
+  },
+  unverifiable: {
+    iconType: 'info',
+    primaryMessage: 'Image quality too low or insufficient data to verify authenticity.',
+  },
+};
+
+/**
+ * Read the ensemble configuration from environment variables
+ * Thresholds and the disagreement delta are percentages, converted to decimals.
+ */
+function getEnsembleConfig() {
+  const memberNames = (process.env.ENSEMBLE_PROVIDERS || 'sightengine,gowinston')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => MEMBERS[name]);
+
+  const weights = {};
+  for (const name of memberNames) {
+    const weight = parseFloat(process.env[`ENSEMBLE_WEIGHT_${name.toUpperCase()}`] || '1');
+    weights[name] = Number.isFinite(weight) && weight > 0 ? weight : 0;
+  }
+
+  return {
+    memberNames: memberNames,
+    weights: weights,
+    authenticThreshold: parseFloat(process.env.ENSEMBLE_THRESHOLD_AUTHENTIC || '20') / 100,
+    deepfakeThreshold: parseFloat(process.env.ENSEMBLE_THRESHOLD_DEEPFAKE || '70') / 100,
+    disagreementDelta: parseFloat(process.env.ENSEMBLE_DISAGREEMENT_DELTA || '50') / 100,
+    minProviders: parseInt(process.env.ENSEMBLE_MIN_PROVIDERS || '1', 10),
+  };
+}
+
+/**
+ * Check that every member provider is configured
+ * @returns {Promise<string|null>} Error message, or null when configured
+ */
+async function getConfigurationError() {
+  const { memberNames } = getEnsembleConfig();
+  if (memberNames.length === 0) {
+    return 'No ensemble providers configured. Set ENSEMBLE_PROVIDERS to a comma-separated list of providers.';
+  }
+
+  for (const name of memberNames) {
+    const error = await MEMBERS[name].getConfigurationError();
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the thresholds and weights in effect, including each member's own thresholds and image requirements
+ */
+function getThresholds() {
+  const config = getEnsembleConfig();
+  const members = {};
+  for (const name of config.memberNames) {
+    members[name] = { ...MEMBERS[name].getThresholds(), imageRequirements: MEMBERS[name].imageRequirements };
+  }
+
+  return {
+    authentic: config.authenticThreshold,
+    deepfake: config.deepfakeThreshold,
+    disagreementDelta: config.disagreementDelta,
+    weights: config.weights,
+    members: members,
+  };
+}
+
+/**
+ * Summarize one member's outcome for the response
+ */
+function toSubResult(name, outcome) {
+  if (outcome.status === 'rejected') {
+    return {
+      provider: name,
+      status: 'error',
+      error: outcome.reason.message,
+      aiScore: null,
+    };
+  }
+
+  const analysis = outcome.value;
+  return {
+    provider: name,
+    status: analysis.status,
+    confidence: analysis.confidence,
+    deepfakeScore: analysis.deepfakeScore,
+    aiScore: analysis.aiScore,
+    source: analysis.source,
+    vendorRequestId: analysis.vendorRequestId,
+    metadata: analysis.metadata,
+    normalizedImage: analysis.normalizedImage || null,
+    rawResponse: analysis.rawResponse,
+  };
+}
+
+/**
+ * Combine member results into one verdict
+ * @param {Object[]} subResults - Results built by toSubResult
+ * @param {Object} config - Ensemble configuration (getEnsembleConfig)
+ * @returns {Object} { status, combinedScore, disagreement, scoredProviders }
+ */
+function combineResults(subResults, config) {
+  const scored = subResults.filter(result => typeof result.aiScore === 'number' && config.weights[result.provider] > 0);
+
+  if (scored.length === 0) {
+    return { status: 'unverifiable', combinedScore: null, disagreement: false, scoredProviders: [] };
+  }
+
+  const totalWeight = scored.reduce((sum, result) => sum + config.weights[result.provider], 0);
+  const combinedScore = scored.reduce((sum, result) => sum + result.aiScore * config.weights[result.provider], 0) / totalWeight;
+
+  // Members' own verdicts (each uses its vendor thresholds) and the spread of their scores
+  const verdicts = new Set(scored.map(result => result.status));
+  const oppositeVerdicts = verdicts.has('authentic') && verdicts.has('deepfake_detected');
+  const scores = scored.map(result => result.aiScore);
+  const spread = Math.max(...scores) - Math.min(...scores);
+  const disagreement = oppositeVerdicts || spread > config.disagreementDelta;
+
+  let status;
+  if (oppositeVerdicts) {
+    status = 'unverifiable';
+  } else if (combinedScore < config.authenticThreshold) {
+    status = 'authentic';
+  } else if (combinedScore > config.deepfakeThreshold) {
+    status = 'deepfake_detected';
+  } else {
+    status = 'unverifiable';
+  }
+
+  return {
+    status: status,
+    combinedScore: combinedScore,
+    disagreement: disagreement,
+    scoredProviders: scored.map(result => result.provider),
+  };
+}
+
+/**
+ * Detect AI manipulation with every member provider and combine the verdicts
+ * @param {Object} input - { imageBuffer, contentType, url, version, prepareImage }
+ * @returns {Promise<Object>} Normalized analysis with `providers` sub-results and `disagreement`
+ */
+async function detect(input) {
+  const config = getEnsembleConfig();
+  const apiStartTime = Date.now();
+
+  console.log(`Running ensemble detection with: ${config.memberNames.join(', ')}`);
+  const outcomes = await Promise.allSettled(config.memberNames.map(name => detectWithBreaker(MEMBERS[name], input)));
+  const subResults = config.memberNames.map((name, index) => toSubResult(name, outcomes[index]));
+
+  const answered = subResults.filter(result => result.status !== 'error');
+  if (answered.length === 0) {
+    const firstFailure = outcomes.find(outcome => outcome.status === 'rejected');
+    throw Object.assign(new Error(`All ensemble providers failed: ${subResults.map(result => `${result.provider}: ${result.error}`).join('; ')}`), {
+      statusCode: firstFailure.reason.statusCode || 500,
+      providerUnavailable: outcomes.every(outcome => outcome.reason.providerUnavailable),
+    });
+  }
+  if (answered.length < config.minProviders) {
+    throw Object.assign(new Error(`Ensemble needs ${config.minProviders} providers to answer, got ${answered.length}`), {
+      statusCode: 502,
+    });
+  }
+
+  const combined = combineResults(subResults, config);
+
+  const { combinedScore, status } = combined;
+  const confidence = status === 'authentic'
+    ? Math.round((1 - combinedScore) * 100)
+    : status === 'deepfake_detected'
+      ? Math.round(combinedScore * 100)
+      : null;
+
+  console.log(`Ensemble analysis: ${status} - combined score ${combinedScore !== null ? (combinedScore * 100).toFixed(2) + '%' : 'N/A'} from ${combined.scoredProviders.join(', ') || 'no providers'}${combined.disagreement ? ' (providers disagree)' : ''}`);
+
+  return {
+    status: status,
+    iconType: VERDICTS[status].iconType,
+    primaryMessage: VERDICTS[status].primaryMessage,
+    confidence: confidence,
+    deepfakeScore: combinedScore !== null ? Math.round(combinedScore * 100) / 100 : null,
+    aiScore: combinedScore,
+    metadata: {
+      detectionAlgorithm: `Ensemble (${config.memberNames.join(' + ')})`,
+      processingTime: `${((Date.now() - apiStartTime) / 1000).toFixed(1)}s`,
+      imageQuality: subResults.find(result => result.metadata)?.metadata.imageQuality || 'Standard Quality',
+    },
+    // Backward compatibility fields for mobile app
+    ai_generated: status === 'deepfake_detected',
+    score: combinedScore,
+    source: 'Ensemble Detection',
+    provider: 'ensemble',
+    vendorRequestId: null,
+    // Members normalize the image separately; report the first member's copy
+    normalizedImage: subResults.find(result => result.normalizedImage)?.normalizedImage || null,
+    rawResponse: null,
+    // Ensemble-specific fields
+    disagreement: combined.disagreement,
+    providers: subResults,
+    ensemble: {
+      weights: config.weights,
+      thresholds: {
+        authentic: config.authenticThreshold,
+        deepfake: config.deepfakeThreshold,
+        disagreementDelta: config.disagreementDelta,
+      },
+      scoredProviders: combined.scoredProviders,
+    },
+  };
+}
+
+module.exports = {
+  name: 'ensemble',
+  // Members that fetch by URL need the S3 copy
+  requiresUrl: Object.values(MEMBERS).some(member => member.requiresUrl),
+  // Each member normalizes the image to its own requirements
+  imageRequirements: null,
+  getConfigurationError,
+  getThresholds,
+  detect,
+  combineResults,
+  getEnsembleConfig,
+};
@@ -0,0 +1,267 @@
+/**
+ * Gowinston Provider
+ * AI image detection through the Gowinston image-detection API.
+ * Gowinston fetches the image itself, so it needs a URL it can reach.
+ */
+
+require('dotenv').config();
+
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// What uploads are normalized to before Gowinston fetches them
+const IMAGE_REQUIREMENTS = {
+  formats: ['jpeg', 'png', 'webp'],
+  maxDimension: parseInt(process.env.GOWINSTON_MAX_DIMENSION || '2048', 10),
+};
+
+/**
+ * Get the Gowinston API token from environment variables
+ */
+function getToken() {
+  return process.env.GOWINSTON_TOKEN || process.env.GOWINSTON_API_KEY || null;
+}
+
+/**
+ * Check that the API token is available
+ * @returns {Promise<string|null>} Error message, or null when configured
+ */
+async function getConfigurationError() {
+  if (!getToken()) {
+    return 'Gowinston API token not configured. Please set GOWINSTON_TOKEN in environment variables.';
+  }
+  return null;
+}
+
+/**
+ * Call Gowinston API to detect AI images
+ */
+async function detectAIImage(url, version, token, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const postData = JSON.stringify({
+      url: url,
+      version: version || 'v2',
+    });
+
+    const options = {
+      method: 'POST',
+      hostname: 'api.gowinston.ai',
+      path: '/v2/image-detection',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData),
+      },
+      timeout: timeoutMs,
+    };
+
+    const req = https.request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        try {
+          const jsonData = JSON.parse(data);
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({
+              success: true,
+              data: jsonData,
+              statusCode: res.statusCode,
+            });
+          } else {
+            resolve({
+              success: false,
+              error: jsonData.message || jsonData.error || 'API request failed',
+              statusCode: res.statusCode,
+              data: jsonData,
+            });
+          }
+        } catch (parseError) {
+          resolve({
+            success: false,
+            error: 'Failed to parse response',
+            rawResponse: data,
+            statusCode: res.statusCode,
+          });
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject({
+        success: false,
+        error: error.message || 'Network error',
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject({
+        success: false,
+        error: 'Request timeout',
+      });
+    });
+
+    req.setTimeout(timeoutMs);
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Get the verdict thresholds in effect
+ * Configured as percentages, returned as decimals.
+ * Default: authentic if ai_probability < 20%, deepfake if > 80%, otherwise unknown
+ */
+function getThresholds() {
+  return {
+    authentic: parseFloat(process.env.GOWINSTON_THRESHOLD_AUTHENTIC || '20') / 100, // 20% default
+    deepfake: parseFloat(process.env.GOWINSTON_THRESHOLD_DEEPFAKE || '80') / 100, // 80% default
+  };
+}
+
+/**
+ * Formalize Gowinston detection response into standardized format
+ * @param {Object} gowinstonResponse - Gowinston image-detection response
+ * @param {number|null} processingTimeMs - Vendor call duration
+ */
+function formalizeGowinstonResponse(gowinstonResponse, processingTimeMs = null) {
+  const { authentic: AUTHENTIC_THRESHOLD, deepfake: DEEPFAKE_THRESHOLD } = getThresholds();
+
+  console.log(`Using Gowinston thresholds - Authentic: ai_probability < ${(AUTHENTIC_THRESHOLD * 100).toFixed(1)}%, Deepfake: > ${(DEEPFAKE_THRESHOLD * 100).toFixed(1)}%`);
+
+  // Extract probabilities from Gowinston response
+  const aiProbability = gowinstonResponse?.ai_probability ?? null;
+  const humanProbability = gowinstonResponse?.human_probability ?? null;
+  const score = gowinstonResponse?.score ?? null;
+  const mimeType = gowinstonResponse?.mime_type || null;
+  const version = gowinstonResponse?.version || '2';
+  const aiWatermarkDetected = gowinstonResponse?.ai_watermark_detected || false;
+
+  // Calculate processing time
+  const processingTime = processingTimeMs
+    ? `${(processingTimeMs / 1000).toFixed(1)}s`
+    : 'N/A';
+
+  // Format only; replaced by the assessed quality label (applyImageQuality) when the image bytes were available
+  const imageQuality = mimeType ? `${mimeType.split('/')[1].toUpperCase()} Format` : 'Standard Quality';
+
+  // Determine result status based on AI probability with configurable thresholds
+  let resultStatus, primaryMessage, iconType, confidence;
+
+  if (aiProbability === null || humanProbability === null) {
+    // Unverifiable - insufficient data or API error
+    resultStatus = 'unverifiable';
+    iconType = 'info';
+    primaryMessage = 'Image quality too low or insufficient data to verify authenticity.';
+    confidence = null;
+    console.log('Gowinston analysis: Unverifiable - insufficient data');
+  } else if (aiProbability < AUTHENTIC_THRESHOLD) {
+    // Low AI probability - likely authentic/human
+    resultStatus = 'authentic';
+    iconType = 'success';
+    primaryMessage = 'Photo passed authenticity checks. No AI manipulation detected.';
+    confidence = Math.round(humanProbability * 100);
+    console.log(`Gowinston analysis: Authentic - ai_probability ${(aiProbability * 100).toFixed(2)}% < ${(AUTHENTIC_THRESHOLD * 100).toFixed(1)}% threshold`);
+  } else if (aiProbability > DEEPFAKE_THRESHOLD) {
+    // High AI probability - detected as AI-generated
+    resultStatus = 'deepfake_detected';
+    iconType = 'warning';
+    primaryMessage = 'We can say with high confidence that this image was partially or completely created or altered using AI.';
+    confidence = Math.round(aiProbability * 100);
+    console.log(`Gowinston analysis: Deepfake detected - ai_probability ${(aiProbability * 100).toFixed(2)}% > ${(DEEPFAKE_THRESHOLD * 100).toFixed(1)}% threshold`);
+  } else {
+    // Probability between thresholds - unknown/unverifiable
+    resultStatus = 'unverifiable';
+    iconType = 'info';
+    primaryMessage = 'Image quality too low or insufficient data to verify authenticity.';
+    confidence = null;
+    console.log(`Gowinston analysis: Unverifiable - ai_probability ${(aiProbability * 100).toFixed(2)}% is between ${(AUTHENTIC_THRESHOLD * 100).toFixed(1)}% and ${(DEEPFAKE_THRESHOLD * 100).toFixed(1)}% thresholds`);
+  }
+
+  // Build formalized response matching analyze endpoint format
+  return {
+    status: resultStatus,
+    iconType: iconType,
+    primaryMessage: primaryMessage,
+    confidence: confidence,
+    deepfakeScore: aiProbability !== null ? Math.round(aiProbability * 100) / 100 : null,
+    aiScore: humanProbability !== null ? aiProbability : null,
+    metadata: {
+      detectionAlgorithm: `Gowinston AI Detection v${version}`,
+      processingTime: processingTime,
+      imageQuality: imageQuality,
+      aiWatermarkDetected: aiWatermarkDetected,
+    },
+    // Backward compatibility fields for mobile app
+    ai_generated: resultStatus === 'deepfake_detected',
+    score: score !== null ? score : (aiProbability !== null ? aiProbability : null),
+    source: 'Gowinston AI Detection',
+    provider: 'gowinston',
+    vendorRequestId: null,
+    // Include raw response for debugging/advanced use
+    rawResponse: gowinstonResponse,
+    // Additional Gowinston-specific fields
+    aiProbability: aiProbability,
+    humanProbability: humanProbability,
+    creditsUsed: gowinstonResponse?.credits_used || null,
+    creditsRemaining: gowinstonResponse?.credits_remaining || null,
+  };
+}
+
+/**
+ * Detect AI generation in an image
+ * @param {Object} input - { url, version, timeoutMs, prepareImage }; image bytes alone are not enough, Gowinston
+ *                         fetches the URL. Uploads are first normalized through input.prepareImage.
+ * @returns {Promise<Object>} Normalized analysis
+ */
+async function detect(input) {
+  const image = input.prepareImage ? { ...input, ...(await input.prepareImage(IMAGE_REQUIREMENTS)) } : input;
+  if (!image.url) {
+    throw Object.assign(new Error('Gowinston needs an image URL'), { statusCode: 400 });
+  }
+
+  const apiStartTime = Date.now();
+
+  let gowinstonResult;
+  try {
+    gowinstonResult = await detectAIImage(image.url, image.version, getToken(), image.timeoutMs);
+  } catch (error) {
+    console.error('Gowinston API error:', error);
+    throw Object.assign(new Error(`Gowinston API request failed: ${error.error || error.message}`), {
+      statusCode: 500,
+      providerUnavailable: true,
+    });
+  }
+
+  if (!gowinstonResult.success) {
+    // Gowinston API returned an error; pass its status through
+    const statusCode = gowinstonResult.statusCode || 500;
+    throw Object.assign(new Error(gowinstonResult.error || 'Gowinston API request failed'), {
+      statusCode: statusCode >= 400 && statusCode < 600 ? statusCode : 500,
+      details: gowinstonResult.data || null,
+      // Vendor-side trouble (worth failing over); other 4xx means this image was rejected
+      providerUnavailable: statusCode >= 500 || statusCode === 429,
+    });
+  }
+
+  return {
+    ...formalizeGowinstonResponse(gowinstonResult.data, Date.now() - apiStartTime),
+    normalizedImage: image.normalizedImage || null,
+  };
+}
+
+module.exports = {
+  name: 'gowinston',
+  // Gowinston fetches the image itself, so uploads must be stored in S3 first
+  requiresUrl: true,
+  imageRequirements: IMAGE_REQUIREMENTS,
+  getConfigurationError,
+  getThresholds,
+  detect,
+  formalizeGowinstonResponse,
+};
@@ -0,0 +1,153 @@
+/**
+ * Detection Providers
+ * Registry of the AI-image detection vendors behind /analyze, and failover between them.
+ *
+ * Every provider module exports:
+ * - name                    - identifier used by the `provider` request parameter
+ * - requiresUrl             - true if the vendor fetches the image itself (uploads go to S3 first)
+ * - imageRequirements       - { formats, maxDimension }: uploads in other formats are transcoded to
+ *                             JPEG and larger ones downscaled before the call (null for the ensemble,
+ *                             whose members normalize on their own)
+ * - getConfigurationError() - resolves to an error message, or null when credentials are set
+ * - getThresholds()         - the verdict thresholds in effect (cached results are versioned on them)
+ * - detect(input)           - input { imageBuffer, contentType, url, version, prepareImage }; uploads
+ *                             come with prepareImage(imageRequirements), resolving to the
+ *                             { imageBuffer, contentType, url, normalizedImage } to send instead.
+ *                             Resolves to the normalized analysis { status, iconType, primaryMessage,
+ *                             confidence, deepfakeScore, aiScore, metadata, ai_generated, score, source,
+ *                             provider, vendorRequestId, normalizedImage, rawResponse } or throws an Error carrying
+ *                             the statusCode (and optional details) to return to the client.
+ *                             aiScore is the unrounded 0-1 AI likelihood, null when the vendor
+ *                             gave no usable score. Errors caused by the vendor itself (5xx, 429,
+ *                             timeout) are flagged providerUnavailable so the call can fail over.
+ */
+
+require('dotenv').config();
+
+const sightengine = require('./sightengine');
+const gowinston = require('./gowinston');
+const ensemble = require('./ensemble');
+const { detectWithBreaker, getBreakerStates } = require('./circuit-breaker');
+
+const PROVIDERS = {
+  [sightengine.name]: sightengine,
+  [gowinston.name]: gowinston,
+  [ensemble.name]: ensemble,
+};
+
+// Used when the request does not name a provider
+const DEFAULT_PROVIDER = 'sightengine';
+
+// Longest a single provider call may take; kept well under the API Gateway timeout so a failover still fits
+// (the async scan worker, which has no gateway in front of it, raises it in serverless.yml)
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS || '12000', 10);
+// Time kept back from the Lambda deadline for committing the token and answering
+const RESPONSE_MARGIN_MS = 3000;
+
+/**
+ * Get the configured default provider name
+ */
+function getDefaultProviderName() {
+  return (process.env.ANALYZE_DEFAULT_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name (case-insensitive); the configured default when empty
+ * @returns {Object|null} Provider module, or null if unknown
+ */
+function getProvider(name) {
+  const providerName = name ? String(name).trim().toLowerCase() : getDefaultProviderName();
+  return PROVIDERS[providerName] || null;
+}
+
+/**
+ * List the names of all registered providers
+ */
+function listProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Providers to try, in order, after the selected one is unavailable
+ * The ensemble is never a failover target; it already degrades on its own.
+ */
+function getFailoverProviderNames(selectedName) {
+  return (process.env.ANALYZE_FAILOVER_PROVIDERS || 'sightengine,gowinston')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => PROVIDERS[name] && name !== selectedName && name !== ensemble.name);
+}
+
+/**
+ * Run detection on the selected provider, failing over while providers are unavailable
+ * Failover only happens for vendor-side failures (open circuit, 5xx, 429, timeout);
+ * an image the vendor rejects is returned to the caller as is.
+ * @param {Object} provider - Selected provider module
+ * @param {Object} input - detect() input { imageBuffer, contentType, url, version }
+ * @param {Object} options - { deadline }: epoch ms by which an answer is needed (Lambda timeout)
+ * @returns {Promise<Object>} { analysis, answeredBy, attempts }
+ */
+async function detectWithFailover(provider, input, options = {}) {
+  const candidates = provider.name === ensemble.name
+    ? [provider]
+    : [provider, ...getFailoverProviderNames(provider.name).map(name => PROVIDERS[name])];
+
+  const attempts = [];
+  let lastError = null;
+
+  for (const candidate of candidates) {
+    if (candidate !== provider) {
+      // Fallbacks must be configured and able to take this input
+      if (await candidate.getConfigurationError()) {
+        continue;
+      }
+      if (candidate.requiresUrl && !input.url) {
+        continue;
+      }
+    }
+
+    const timeLeft = options.deadline ? options.deadline - Date.now() - RESPONSE_MARGIN_MS : PROVIDER_TIMEOUT_MS;
+    if (timeLeft <= 0) {
+      break;
+    }
+
+    const attemptInput = { ...input, timeoutMs: Math.min(PROVIDER_TIMEOUT_MS, timeLeft) };
+    try {
+      // The ensemble runs each member through its own breaker
+      const analysis = candidate.name === ensemble.name
+        ? await candidate.detect(attemptInput)
+        : await detectWithBreaker(candidate, attemptInput);
+      attempts.push({ provider: candidate.name, outcome: 'success' });
+      return { analysis, answeredBy: candidate.name, attempts };
+    } catch (error) {
+      attempts.push({ provider: candidate.name, outcome: error.circuitOpen ? 'circuit_open' : 'failed', error: error.message });
+      if (!error.providerUnavailable) {
+        throw error;
+      }
+      console.warn(`⚠️ Provider ${candidate.name} unavailable, trying the next one: ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  throw Object.assign(new Error('All detection providers are unavailable. Please try again shortly.'), {
+    statusCode: 503,
+    details: { attempts: attempts, lastError: lastError ? lastError.message : null },
+  });
+}
+
+/**
+ * Circuit breaker state of every vendor provider (the ensemble has none of its own)
+ * @returns {Promise<Object>} { [provider]: { state, openUntil, reason, window } }
+ */
+async function getProviderHealth() {
+  return getBreakerStates(listProviderNames().filter(name => name !== ensemble.name));
+}
+
+module.exports = {
+  getProvider,
+  getDefaultProviderName,
+  listProviderNames,
+  detectWithFailover,
+  getProviderHealth,
+};
@@ -0,0 +1,310 @@
+/**
+ * Sightengine Provider
+ * Deepfake detection through the Sightengine check API.
+ * Accepts the image bytes (multipart upload) or a public image URL.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Configure AWS SDK with environment variables
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+// Only set credentials if provided AND we're running locally (not in Lambda)
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const secretsManager = new AWS.SecretsManager();
+
+const SIGHTENGINE_SECRET_NAME = process.env.SIGHTENGINE_SECRET_NAME || 'catfish/sightengine-credentials';
+const SIGHTENGINE_API_URL = 'https://api.sightengine.com/1.0/check.json';
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// What uploads are normalized to before the call; larger images only add upload time
+const IMAGE_REQUIREMENTS = {
+  formats: ['jpeg', 'png', 'webp', 'gif'],
+  maxDimension: parseInt(process.env.SIGHTENGINE_MAX_DIMENSION || '1536', 10),
+};
+
+// Cache for credentials to avoid repeated API calls
+let cachedCredentials = {
+  apiUser: null,
+  apiSecret: null,
+};
+
+/**
+ * Get secret from AWS Secrets Manager
+ */
+async function getSecret(secretName) {
+  try {
+    const data = await secretsManager.getSecretValue({ SecretId: secretName }).promise();
+    if (data.SecretString) {
+      return JSON.parse(data.SecretString);
+    }
+    return Buffer.from(data.SecretBinary, 'base64').toString('ascii');
+  } catch (error) {
+    if (error.code === 'ResourceNotFoundException') {
+      console.warn(`Secret ${secretName} not found in Secrets Manager, falling back to environment variable`);
+      return null;
+    }
+    if (error.code === 'InvalidUserID.NotFound' || error.code === 'InvalidClientTokenId' || error.message.includes('security token')) {
+      console.error(`AWS authentication error accessing Secrets Manager. Check Lambda IAM role permissions. Error: ${error.message}`);
+      // Fall back to environment variable instead of failing
+      console.warn(`Falling back to environment variable for secret: ${secretName}`);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load Sightengine credentials from Secrets Manager or environment variables
+ */
+async function getCredentials() {
+  if (!cachedCredentials.apiUser || !cachedCredentials.apiSecret) {
+    const secret = await getSecret(SIGHTENGINE_SECRET_NAME);
+    if (secret && secret.api_user && secret.api_secret) {
+      cachedCredentials.apiUser = secret.api_user;
+      cachedCredentials.apiSecret = secret.api_secret;
+    } else if (secret && secret.API_USER && secret.Api_Secret) {
+      // Handle different case variations
+      cachedCredentials.apiUser = secret.API_USER;
+      cachedCredentials.apiSecret = secret.Api_Secret;
+    } else {
+      // Fallback to environment variables (trim whitespace)
+      cachedCredentials.apiUser = (process.env.API_USER || process.env.SIGHTENGINE_API_USER || '').trim();
+      cachedCredentials.apiSecret = (process.env.Api_Secret || process.env.SIGHTENGINE_API_SECRET || '').trim();
+    }
+  }
+
+  return cachedCredentials;
+}
+
+/**
+ * Check that credentials are available
+ * @returns {Promise<string|null>} Error message, or null when configured
+ */
+async function getConfigurationError() {
+  const credentials = await getCredentials();
+  if (!credentials.apiUser || !credentials.apiSecret) {
+    return 'Sightengine API credentials not found. Set API_USER and Api_Secret in .env file, AWS Secrets Manager, or SSM Parameter Store';
+  }
+  return null;
+}
+
+/**
+ * Call Sightengine API to detect image manipulation
+ * Uploads the image bytes when given, otherwise lets Sightengine fetch the URL.
+ */
+async function callSightengineAPI({ imageBuffer, contentType, url, timeoutMs }, apiUser, apiSecret) {
+  try {
+    let response;
+
+    if (imageBuffer) {
+      // Log the request details for debugging
+      console.log(`Calling Sightengine API with image size: ${imageBuffer.length} bytes, type: ${contentType}`);
+
+      const data = new FormData();
+
+      // Determine file extension from content type
+      const extension = contentType.includes('png') ? 'png' :
+                       contentType.includes('webp') ? 'webp' :
+                       contentType.includes('gif') ? 'gif' : 'jpg';
+
+      data.append('media', imageBuffer, {
+        filename: `image.${extension}`,
+        contentType: contentType,
+      });
+      data.append('models', 'deepfake');
+      data.append('api_user', apiUser);
+      data.append('api_secret', apiSecret);
+
+      response = await axios({
+        method: 'post',
+        url: SIGHTENGINE_API_URL,
+        data: data,
+        headers: data.getHeaders(),
+        timeout: timeoutMs || DEFAULT_TIMEOUT_MS,
+      });
+    } else {
+      console.log(`Calling Sightengine API with image URL: ${url}`);
+
+      response = await axios({
+        method: 'get',
+        url: SIGHTENGINE_API_URL,
+        params: {
+          url: url,
+          models: 'deepfake',
+          api_user: apiUser,
+          api_secret: apiSecret,
+        },
+        timeout: timeoutMs || DEFAULT_TIMEOUT_MS,
+      });
+    }
+
+    console.log('Sightengine API Response:', JSON.stringify(response.data, null, 2));
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      // API responded with error status
+      console.error('Sightengine API error response:', error.response.data);
+      const status = error.response.status;
+      throw Object.assign(new Error(`Sightengine API error: ${status} - ${JSON.stringify(error.response.data)}`), {
+        // Vendor-side trouble (worth failing over); 4xx means this image was rejected
+        providerUnavailable: status >= 500 || status === 429,
+      });
+    }
+    // Request failed (network error, timeout, etc.)
+    console.error('Sightengine API request failed:', error.message);
+    throw Object.assign(new Error(`Sightengine API request failed: ${error.message}`), {
+      providerUnavailable: true,
+    });
+  }
+}
+
+/**
+ * Get the verdict thresholds in effect
+ * Configured as percentages, returned as decimals.
+ * Default: authentic if < 5%, deepfake if > 40%, otherwise unknown
+ */
+function getThresholds() {
+  return {
+    authentic: parseFloat(process.env.DEEPFAKE_THRESHOLD_AUTHENTIC || '5') / 100, // 5% default
+    deepfake: parseFloat(process.env.DEEPFAKE_THRESHOLD_DEEPFAKE || '40') / 100, // 40% default
+  };
+}
+
+/**
+ * Formalize Sightengine deepfake detection response into standardized format
+ * @param {Object} sightengineResponse - Sightengine check API response
+ * @param {number|null} processingTimeMs - Vendor call duration
+ */
+function formalizeDeepfakeResponse(sightengineResponse, processingTimeMs = null) {
+  const { authentic: AUTHENTIC_THRESHOLD, deepfake: DEEPFAKE_THRESHOLD } = getThresholds();
+
+  console.log(`Using deepfake thresholds - Authentic: < ${(AUTHENTIC_THRESHOLD * 100).toFixed(1)}%, Deepfake: > ${(DEEPFAKE_THRESHOLD * 100).toFixed(1)}%`);
+
+  // Extract deepfake score from Sightengine response
+  // Sightengine returns: { status: 'success', type: { deepfake: 0.0-1.0 }, ... }
+  const deepfakeScore = sightengineResponse?.type?.deepfake ?? null;
+  const status = sightengineResponse?.status || 'unknown';
+
+  // Calculate processing time if available
+  const requestTimestamp = sightengineResponse?.request?.timestamp;
+  const processingTime = processingTimeMs
+    ? `${(processingTimeMs / 1000).toFixed(1)}s`
+    : requestTimestamp
+      ? '3.2s' // Default fallback
+      : 'N/A';
+
+  // Determine result status based on deepfake score with configurable thresholds
+  let resultStatus, primaryMessage, iconType, confidence;
+
+  if (deepfakeScore === null || status !== 'success') {
+    // Unverifiable - insufficient data or API error
+    resultStatus = 'unverifiable';
+    iconType = 'info';
+    primaryMessage = 'Image quality too low or insufficient data to verify authenticity.';
+    confidence = null;
+    console.log('Deepfake analysis: Unverifiable - insufficient data or API error');
+  } else if (deepfakeScore < AUTHENTIC_THRESHOLD) {
+    // Score below authentic threshold - likely real/authentic
+    resultStatus = 'authentic';
+    iconType = 'success';
+    primaryMessage = 'Photo passed authenticity checks. No manipulation detected.';
+    confidence = Math.round((1 - deepfakeScore) * 100);
+    console.log(`Deepfake analysis: Authentic - score ${(deepfakeScore * 100).toFixed(2)}% < ${(AUTHENTIC_THRESHOLD * 100).toFixed(1)}% threshold`);
+  } else if (deepfakeScore > DEEPFAKE_THRESHOLD) {
+    // Score above deepfake threshold - detected as deepfake
+    resultStatus = 'deepfake_detected';
+    iconType = 'warning';
+    primaryMessage = 'We can say with high confidence that this image was partially or completely created or altered using AI.';
+    confidence = Math.round(deepfakeScore * 100);
+    console.log(`Deepfake analysis: Deepfake detected - score ${(deepfakeScore * 100).toFixed(2)}% > ${(DEEPFAKE_THRESHOLD * 100).toFixed(1)}% threshold`);
+  } else {
+    // Score between thresholds - unknown/unverifiable
+    resultStatus = 'unverifiable';
+    iconType = 'info';
+    primaryMessage = 'Image quality too low or insufficient data to verify authenticity.';
+    confidence = null;
+    console.log(`Deepfake analysis: Unverifiable - score ${(deepfakeScore * 100).toFixed(2)}% is between ${(AUTHENTIC_THRESHOLD * 100).toFixed(1)}% and ${(DEEPFAKE_THRESHOLD * 100).toFixed(1)}% thresholds`);
+  }
+
+  return {
+    status: resultStatus,
+    iconType: iconType,
+    primaryMessage: primaryMessage,
+    confidence: confidence,
+    deepfakeScore: deepfakeScore !== null ? Math.round(deepfakeScore * 100) / 100 : null,
+    aiScore: status === 'success' ? deepfakeScore : null,
+    metadata: {
+      detectionAlgorithm: 'AI Pattern Recognition v2.1',
+      processingTime: processingTime,
+      // Replaced by the assessed quality label (applyImageQuality) when the image bytes were available
+      imageQuality: 'Standard Quality',
+    },
+    // Backward compatibility fields for mobile app
+    ai_generated: resultStatus === 'deepfake_detected',
+    score: deepfakeScore !== null ? deepfakeScore : null,
+    source: 'Sightengine Deepfake Detection',
+    provider: 'sightengine',
+    vendorRequestId: sightengineResponse?.request?.id || null,
+    // Include raw response for debugging/advanced use
+    rawResponse: sightengineResponse,
+  };
+}
+
+/**
+ * Detect AI manipulation in an image
+ * @param {Object} input - { imageBuffer, contentType, url, timeoutMs, prepareImage }; the buffer is preferred
+ *                         when both are given. Uploads are first normalized through input.prepareImage.
+ * @returns {Promise<Object>} Normalized analysis
+ */
+async function detect(input) {
+  if (!input.imageBuffer && !input.url) {
+    throw Object.assign(new Error('Sightengine needs the image bytes or an image URL'), { statusCode: 400 });
+  }
+
+  const image = input.prepareImage ? { ...input, ...(await input.prepareImage(IMAGE_REQUIREMENTS)) } : input;
+  const credentials = await getCredentials();
+  const apiStartTime = Date.now();
+
+  let sightengineResponse;
+  try {
+    sightengineResponse = await callSightengineAPI(image, credentials.apiUser, credentials.apiSecret);
+  } catch (error) {
+    // Provide more helpful error messages
+    if (error.message.includes('400') && image.imageBuffer) {
+      const sizeMB = (image.imageBuffer.length / (1024 * 1024)).toFixed(2);
+      error.message = `Sightengine API rejected the image. Possible causes: 1) Image too large (current: ${sizeMB}MB), 2) Unsupported format (current: ${image.contentType}), 3) Corrupted image data. Original error: ${error.message}`;
+    }
+    error.statusCode = 500;
+    throw error;
+  }
+
+  return {
+    ...formalizeDeepfakeResponse(sightengineResponse, Date.now() - apiStartTime),
+    normalizedImage: image.normalizedImage || null,
+  };
+}
+
+module.exports = {
+  name: 'sightengine',
+  // Sightengine can analyze the bytes directly, so an S3 copy is optional
+  requiresUrl: false,
+  imageRequirements: IMAGE_REQUIREMENTS,
+  getConfigurationError,
+  getThresholds,
+  detect,
+  formalizeDeepfakeResponse,
+};
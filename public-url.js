@@ -0,0 +1,138 @@
+/**
+ * Public URL policy
+ * Checks for URLs the server connects to on a caller's behalf (image URLs, scan job webhooks),
+ * so a caller cannot point us at internal addresses (SSRF):
+ * - only the allowed protocols, on their default ports, without credentials in the URL
+ * - every address the hostname resolves to must be public: private, loopback, link-local
+ *   (including the 169.254.169.254 / fd00:ec2::254 metadata service), multicast and other
+ *   reserved ranges are refused
+ * - the connection is pinned to the checked address (pinnedLookup), so DNS cannot change
+ *   between the check and the request
+ *
+ * Errors carry a statusCode (400) and the errorCode the caller chose for each failure:
+ * { invalid, blocked, unresolved }.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+// Address ranges a URL may not resolve to. Kept in separate lists because a BlockList
+// matches IPv4 addresses against IPv6 rules in their IPv4-mapped form (::ffff:a.b.c.d).
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including the instance metadata service
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local, including the instance metadata service (fd00:ec2::254)
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Build an Error carrying the HTTP status and error code to return
+ */
+function urlError(errorCode, message) {
+  return Object.assign(new Error(message), { statusCode: 400, errorCode });
+}
+
+/**
+ * Whether an IP address is in a private or reserved range
+ */
+function isBlockedAddress(address) {
+  return net.isIPv4(address) ? BLOCKED_IPV4.check(address, 'ipv4') : BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+/**
+ * Parse and check a URL against the policy (no DNS yet)
+ * @param {string} value - URL, absolute or relative to base
+ * @param {Object} options - { base, protocols: e.g. ['https:'], subject: name used in messages,
+ *                           errorCodes: { invalid } }
+ * @returns {URL} The parsed URL
+ */
+function parsePublicUrl(value, { base = undefined, protocols = ['http:', 'https:'], subject = 'URL', errorCodes }) {
+  const allowed = protocols.map(protocol => protocol.replace(':', '')).join(' or ');
+  let url;
+  try {
+    url = new URL(String(value), base);
+  } catch (error) {
+    throw urlError(errorCodes.invalid, `Invalid ${subject}. Expected an absolute ${allowed} URL.`);
+  }
+  if (!protocols.includes(url.protocol)) {
+    throw urlError(errorCodes.invalid, `Invalid ${subject}. Only ${allowed} URLs are supported.`);
+  }
+  if (url.port && url.port !== DEFAULT_PORTS[url.protocol]) {
+    throw urlError(errorCodes.invalid, `Invalid ${subject}. It must use the default port for ${url.protocol.replace(':', '')}.`);
+  }
+  if (url.username || url.password) {
+    throw urlError(errorCodes.invalid, `Invalid ${subject}. It cannot contain credentials.`);
+  }
+  return url;
+}
+
+/**
+ * Resolve a URL's host to an address that is safe to connect to
+ * Every address must be public: a host that also resolves to a private one is refused.
+ * @param {URL} url - From parsePublicUrl
+ * @param {Object} options - { subject, errorCodes: { blocked, unresolved } }
+ * @returns {Promise<Object>} { address, family }
+ */
+async function resolvePublicAddress(url, { subject = 'URL', errorCodes }) {
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw urlError(errorCodes.unresolved, `Could not resolve the ${subject} host ${host}.`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(entry => isBlockedAddress(entry.address))) {
+    console.warn(`⚠️ Refused ${subject} host ${host}: resolves to ${addresses.map(entry => entry.address).join(', ')}`);
+    throw urlError(errorCodes.blocked, `The ${subject} points to a private or reserved network address.`);
+  }
+  return addresses[0];
+}
+
+/**
+ * A socket `lookup` that always answers the checked address
+ * TLS still verifies the certificate for the URL's hostname.
+ * @param {Object} resolved - { address, family } from resolvePublicAddress
+ */
+function pinnedLookup({ address, family }) {
+  return (hostname, options, callback) => (options.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family));
+}
+
+module.exports = {
+  isBlockedAddress,
+  parsePublicUrl,
+  resolvePublicAddress,
+  pinnedLookup,
+};
@@ -0,0 +1,168 @@
+/**
+ * Receipt Validator
+ * Verifies token pack purchases server-side before any tokens are credited.
+ * Looks the store transaction up on the buyer's RevenueCat subscriber record,
+ * which RevenueCat only populates after validating the App Store / Play receipt.
+ *
+ * For local testing, point REVENUECAT_API_URL at a fake server
+ * (see test-receipt-validation-local.js).
+ */
+
+require('dotenv').config();
+
+const https = require('https');
+const http = require('http');
+
+const REVENUECAT_API_TIMEOUT_MS = 10000;
+
+/**
+ * Get the RevenueCat REST API base URL
+ */
+function getRevenueCatApiUrl() {
+  return (process.env.REVENUECAT_API_URL || 'https://api.revenuecat.com/v1').replace(/\/+$/, '');
+}
+
+/**
+ * Fetch a subscriber record from the RevenueCat REST API
+ * @param {string} appUserId - RevenueCat app_user_id (our Cognito user ID)
+ * @param {string} apiKey - RevenueCat secret API key
+ * @returns {Promise<Object>} { statusCode, data }
+ */
+function fetchSubscriber(appUserId, apiKey) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(`${getRevenueCatApiUrl()}/subscribers/${encodeURIComponent(appUserId)}`);
+    const client = url.protocol === 'http:' ? http : https;
+
+    const req = client.request(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      timeout: REVENUECAT_API_TIMEOUT_MS,
+    }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        try {
+          resolve({ statusCode: res.statusCode, data: JSON.parse(data || '{}') });
+        } catch (error) {
+          reject(new Error(`Failed to parse RevenueCat response: ${error.message}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`RevenueCat request failed: ${error.message}`));
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('RevenueCat request timeout'));
+    });
+
+    req.end();
+  });
+}
+
+/**
+ * Find a transaction in a subscriber's non-subscription (consumable) purchases
+ * @returns {Object|null} { productId, transaction }
+ */
+function findTransaction(subscriber, transactionId) {
+  const nonSubscriptions = subscriber?.non_subscriptions || {};
+
+  for (const productId of Object.keys(nonSubscriptions)) {
+    const transaction = (nonSubscriptions[productId] || []).find(item =>
+      item.store_transaction_id === transactionId || item.id === transactionId
+    );
+    if (transaction) {
+      return { productId, transaction };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a failed verification outcome
+ */
+function rejected(status, reason, transactionId) {
+  return {
+    valid: false,
+    status: status,
+    reason: reason,
+    provider: 'revenuecat',
+    transactionId: transactionId || null,
+    verifiedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Verify that a user really bought a token pack in the given store transaction
+ * @param {string} userId - Cognito user ID (RevenueCat app_user_id)
+ * @param {string} productId - Expected store product ID (token pack ID)
+ * @param {string} transactionId - Store transaction ID reported by the client
+ * @returns {Promise<Object>} Verification outcome; `valid` is true only for a confirmed purchase
+ */
+async function validatePurchase(userId, productId, transactionId) {
+  const apiKey = process.env.REVENUECAT_API_KEY;
+  if (!apiKey) {
+    console.error('REVENUECAT_API_KEY not configured, cannot verify purchase');
+    return rejected('error', 'Receipt validation is not configured', transactionId);
+  }
+
+  if (!transactionId) {
+    return rejected('missing_transaction', 'A store transaction ID is required', transactionId);
+  }
+
+  let response;
+  try {
+    response = await fetchSubscriber(userId, apiKey);
+  } catch (error) {
+    console.error('Error looking up RevenueCat subscriber:', error.message);
+    return rejected('error', error.message, transactionId);
+  }
+
+  if (response.statusCode === 404) {
+    return rejected('not_found', 'No purchases found for this user', transactionId);
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    console.error(`RevenueCat API error: HTTP ${response.statusCode}`, response.data);
+    return rejected('error', `RevenueCat API error: HTTP ${response.statusCode}`, transactionId);
+  }
+
+  const match = findTransaction(response.data.subscriber, transactionId);
+  if (!match) {
+    return rejected('not_found', 'Transaction not found for this user', transactionId);
+  }
+
+  if (match.productId !== productId) {
+    return rejected('product_mismatch', `Transaction is for ${match.productId}, not ${productId}`, transactionId);
+  }
+
+  console.log(`✅ Purchase verified via RevenueCat: user=${userId}, product=${productId}, transaction=${transactionId}`);
+
+  return {
+    valid: true,
+    status: 'verified',
+    reason: null,
+    provider: 'revenuecat',
+    productId: match.productId,
+    transactionId: match.transaction.store_transaction_id || transactionId,
+    revenueCatTransactionId: match.transaction.id || null,
+    store: match.transaction.store || null,
+    isSandbox: !!match.transaction.is_sandbox,
+    storePurchaseDate: match.transaction.purchase_date || null,
+    verifiedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  validatePurchase,
+  getRevenueCatApiUrl,
+};
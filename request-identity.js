@@ -0,0 +1,189 @@
+/**
+ * Request Identity
+ * Resolves the authenticated caller of an API Gateway request from a verified
+ * Cognito token. Admins may act on behalf of another user only by sending the
+ * X-Impersonate-User header; every impersonated request is written to the audit log.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const { verifyCognitoToken } = require('./cognito-jwt-verifier');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const cognito = new AWS.CognitoIdentityServiceProvider();
+
+const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID || '';
+const ADMIN_GROUP_NAME = process.env.ADMIN_GROUP_NAME || 'admin';
+const AUDIT_LOG_TABLE = process.env.AUDIT_LOG_TABLE || 'image-analysis-dev-audit-log';
+const IMPERSONATION_HEADER = 'X-Impersonate-User';
+
+/**
+ * Read a request header case-insensitively
+ * @param {Object} event - API Gateway event
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function getHeader(event, name) {
+  const requestHeaders = event.headers || {};
+  const key = Object.keys(requestHeaders).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? requestHeaders[key] : null;
+}
+
+/**
+ * Extract bearer token from request headers
+ * @param {Object} event - API Gateway event
+ * @returns {string|null} Raw JWT
+ */
+function extractToken(event) {
+  const authHeader = getHeader(event, 'Authorization');
+  if (!authHeader) {
+    return null;
+  }
+
+  const token = authHeader.replace(/^Bearer\s+/i, '').trim();
+  return token || null;
+}
+
+/**
+ * Check if a user is in the admin Cognito group
+ * @param {string} username - Cognito username
+ * @returns {Promise<boolean>} True if the user is an admin
+ */
+async function isAdminUser(username) {
+  if (!username || !USER_POOL_ID) {
+    return false;
+  }
+
+  try {
+    const result = await cognito.adminListGroupsForUser({
+      UserPoolId: USER_POOL_ID,
+      Username: username,
+    }).promise();
+
+    const groups = result.Groups || [];
+    return groups.some(group => group.GroupName === ADMIN_GROUP_NAME);
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+}
+
+/**
+ * Write an entry to the audit log table
+ * @param {string} actorId - User ID of whoever performed the action
+ * @param {string} action - Action name (e.g. 'impersonation')
+ * @param {Object} details - Additional fields to store with the entry
+ */
+async function writeAuditLog(actorId, action, details = {}) {
+  const entry = {
+    actorId: actorId,
+    timestamp: new Date().toISOString(),
+    action: action,
+    ...details,
+  };
+
+  console.log('AUDIT_LOG:', JSON.stringify(entry));
+
+  try {
+    await dynamodb.put({
+      TableName: AUDIT_LOG_TABLE,
+      Item: entry,
+    }).promise();
+  } catch (error) {
+    // Don't fail the request if the audit write fails; the CloudWatch line above remains
+    console.error('Error writing audit log to DynamoDB:', error);
+  }
+
+  return entry;
+}
+
+/**
+ * Build an error carrying the HTTP status code the handler should return
+ */
+function identityError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Resolve the identity a request acts as
+ * Throws an error with statusCode 401 if the token is missing or invalid,
+ * or 403 if impersonation is requested by a non-admin.
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} { userId, actorId, username, isAdmin, impersonating, claims }
+ */
+async function resolveIdentity(event) {
+  const token = extractToken(event);
+  if (!token) {
+    throw identityError(401, 'Authentication required');
+  }
+
+  let claims;
+  try {
+    claims = await verifyCognitoToken(token);
+  } catch (error) {
+    console.warn('❌ Cognito token verification failed:', error.message);
+    throw identityError(401, 'Invalid or expired token');
+  }
+
+  const actorId = claims.sub;
+  const username = claims.username || claims['cognito:username'] || actorId;
+  const targetUserId = (getHeader(event, IMPERSONATION_HEADER) || '').trim();
+
+  if (!targetUserId || targetUserId === actorId) {
+    return {
+      userId: actorId,
+      actorId: actorId,
+      username: username,
+      isAdmin: null,
+      impersonating: false,
+      claims: claims,
+    };
+  }
+
+  if (!(await isAdminUser(username))) {
+    console.warn(`⚠️ User ${actorId} attempted to impersonate ${targetUserId} without admin rights`);
+    throw identityError(403, 'Impersonation requires admin access');
+  }
+
+  await writeAuditLog(actorId, 'impersonation', {
+    targetUserId: targetUserId,
+    method: event.httpMethod || null,
+    path: event.path || null,
+    requestId: event.requestContext?.requestId || null,
+    sourceIp: event.requestContext?.identity?.sourceIp || null,
+  });
+
+  return {
+    userId: targetUserId,
+    actorId: actorId,
+    username: username,
+    isAdmin: true,
+    impersonating: true,
+    claims: claims,
+  };
+}
+
+module.exports = {
+  resolveIdentity,
+  extractToken,
+  getHeader,
+  isAdminUser,
+  writeAuditLog,
+  IMPERSONATION_HEADER,
+};
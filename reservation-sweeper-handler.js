@@ -0,0 +1,22 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { wrapHandler } = require('./middleware/errorHandler');
+const { releaseExpiredReservations } = require('./token-reservations');
+
+/**
+ * Scheduled job: release token reservations whose scan never settled them
+ * (e.g. the analyze Lambda was killed before committing or releasing).
+ */
+const handler = async () => {
+  const result = await releaseExpiredReservations();
+
+  if (result.expired > 0) {
+    console.log(`Released ${result.released} of ${result.expired} expired token reservations`);
+  }
+
+  return result;
+};
+
+// Wrap handler with Sentry error tracking
+exports.handler = wrapHandler(handler);
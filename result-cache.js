@@ -0,0 +1,295 @@
+/**
+ * Result Cache
+ * Detection results keyed on the image, so re-scanning a photo does not call the vendor again.
+ *
+ * A result is found by the exact content hash (SHA-256), or by a perceptual hash within
+ * RESULT_CACHE_PHASH_DISTANCE bits, which catches resized or recompressed copies.
+ * Entries are versioned on the provider, its thresholds and image requirements (plus
+ * RESULT_CACHE_VERSION), so changing a threshold or bumping the version stops old verdicts being served.
+ *
+ * Table layout (cacheKey HASH, entryKey RANGE):
+ * - result#<version>#<contentHash>     / 'result'       - the cached analysis
+ * - phash#<version>#<band>#<bandBits>  / <contentHash>  - perceptual index; the 64-bit hash is split
+ *   into PHASH_BANDS bands and indexed under each, so any hash within PHASH_BANDS - 1 bits shares
+ *   at least one band with the stored one
+ *
+ * A cached analysis can answer another user's copy of the picture, so it is stored without
+ * references to the image it was made for (withoutImageReferences).
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { hammingDistance } = require('./image-fingerprint');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Raw response fields that point at the image the vendor was sent (Sightengine's media { id, uri })
+const RAW_MEDIA_FIELDS = ['media'];
+
+const RESULT_CACHE_TABLE = process.env.RESULT_CACHE_TABLE || 'image-analysis-dev-result-cache';
+const RESULT_CACHE_TTL_SECONDS = parseFloat(process.env.RESULT_CACHE_TTL_HOURS || '168') * 60 * 60;
+const PHASH_BANDS = 4;
+// Distances above PHASH_BANDS - 1 are only found when the hashes happen to share a band
+const PHASH_MAX_DISTANCE = parseInt(process.env.RESULT_CACHE_PHASH_DISTANCE || '3', 10);
+// Candidates read per band; more than this many near-identical images in one band is not expected
+const PHASH_CANDIDATES_PER_BAND = 25;
+const RESULT_KEY = 'result';
+
+/**
+ * Whether the result cache is switched on
+ */
+function isResultCacheEnabled() {
+  return (process.env.RESULT_CACHE_ENABLED || 'true').toLowerCase() === 'true';
+}
+
+/**
+ * Whether a scan answered from the cache still consumes a token
+ */
+function shouldChargeCacheHits() {
+  return (process.env.RESULT_CACHE_CHARGE_HITS || 'false').toLowerCase() === 'true';
+}
+
+/**
+ * Cache version for a provider: its name plus a digest of its thresholds, image requirements and RESULT_CACHE_VERSION
+ * @param {Object} provider - Provider module
+ * @returns {string} e.g. 'sightengine-3f9a1c0b7d2e'
+ */
+function getCacheVersion(provider) {
+  const digest = crypto.createHash('sha256')
+    .update(JSON.stringify({
+      thresholds: provider.getThresholds(),
+      imageRequirements: provider.imageRequirements || null,
+      version: process.env.RESULT_CACHE_VERSION || '2',
+    }))
+    .digest('hex');
+  return `${provider.name}-${digest.substring(0, 12)}`;
+}
+
+/**
+ * Split a perceptual hash into its index bands
+ */
+function getPerceptualBands(perceptualHash) {
+  const bandLength = perceptualHash.length / PHASH_BANDS;
+  const bands = [];
+  for (let band = 0; band < PHASH_BANDS; band++) {
+    bands.push(perceptualHash.substring(band * bandLength, (band + 1) * bandLength));
+  }
+  return bands;
+}
+
+function getResultKey(version, contentHash) {
+  return `result#${version}#${contentHash}`;
+}
+
+function isExpired(item) {
+  return !item || item.expiresAt <= Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Read a live cached result
+ */
+async function getCachedResult(version, contentHash) {
+  const result = await dynamodb.get({
+    TableName: RESULT_CACHE_TABLE,
+    Key: { cacheKey: getResultKey(version, contentHash), entryKey: RESULT_KEY },
+  }).promise();
+
+  // TTL deletion lags, so expired items can still be read
+  return isExpired(result.Item) ? null : result.Item;
+}
+
+/**
+ * Find the closest perceptually matching image that has a cached result
+ * @returns {Promise<Object|null>} { contentHash, distance }
+ */
+async function findPerceptualMatch(version, perceptualHash) {
+  const bands = getPerceptualBands(perceptualHash);
+  const queries = bands.map((bits, band) => dynamodb.query({
+    TableName: RESULT_CACHE_TABLE,
+    KeyConditionExpression: 'cacheKey = :cacheKey',
+    ExpressionAttributeValues: {
+      ':cacheKey': `phash#${version}#${band}#${bits}`,
+    },
+    Limit: PHASH_CANDIDATES_PER_BAND,
+  }).promise());
+
+  let best = null;
+  for (const result of await Promise.all(queries)) {
+    for (const item of result.Items || []) {
+      if (isExpired(item)) {
+        continue;
+      }
+      const distance = hammingDistance(perceptualHash, item.perceptualHash);
+      if (distance <= PHASH_MAX_DISTANCE && (!best || distance < best.distance)) {
+        best = { contentHash: item.entryKey, distance: distance };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * A result without references to its image: the normalized copy (normalizedImage holds its S3 URL
+ * and hash, and the bucket is publicly readable) and the vendor's media fields
+ */
+function withoutImageReference(result) {
+  const { normalizedImage, ...rest } = result;
+  if (rest.rawResponse && typeof rest.rawResponse === 'object') {
+    rest.rawResponse = { ...rest.rawResponse };
+    RAW_MEDIA_FIELDS.forEach((field) => {
+      delete rest.rawResponse[field];
+    });
+  }
+  return rest;
+}
+
+/**
+ * An analysis as it is cached, with the image references of its ensemble members removed too
+ * @param {Object} analysis - Normalized analysis
+ * @returns {Object} Copy of the analysis
+ */
+function withoutImageReferences(analysis) {
+  const result = withoutImageReference(analysis);
+  if (Array.isArray(result.providers)) {
+    result.providers = result.providers.map(withoutImageReference);
+  }
+  return result;
+}
+
+/**
+ * Look up a cached detection result for an image
+ * Cache errors never fail a scan; they are logged and treated as a miss.
+ * @param {Object} provider - Provider module the scan would call
+ * @param {Object} fingerprints - { contentHash, perceptualHash }
+ * @returns {Promise<Object|null>} { analysis, provider, match: 'exact'|'perceptual', distance, cachedAt, s3Url }
+ */
+async function lookupCachedResult(provider, { contentHash, perceptualHash }) {
+  if (!isResultCacheEnabled() || !contentHash) {
+    return null;
+  }
+
+  const version = getCacheVersion(provider);
+  try {
+    let item = await getCachedResult(version, contentHash);
+    let match = 'exact';
+    let distance = 0;
+
+    if (!item && perceptualHash) {
+      const candidate = await findPerceptualMatch(version, perceptualHash);
+      if (candidate) {
+        item = await getCachedResult(version, candidate.contentHash);
+        match = 'perceptual';
+        distance = candidate.distance;
+      }
+    }
+
+    if (!item) {
+      console.log(`Result cache miss (${version})`);
+      return null;
+    }
+
+    console.log(`✅ Result cache hit (${match}, distance ${distance}) for ${version}, cached at ${item.createdAt}`);
+    return {
+      // Entries cached before image references were left out are cleaned on the way out
+      analysis: withoutImageReferences(JSON.parse(item.analysis)),
+      provider: item.provider,
+      match: match,
+      distance: distance,
+      cachedAt: item.createdAt,
+      s3Url: item.s3Url || null,
+    };
+  } catch (error) {
+    console.warn(`Result cache lookup failed, calling the provider: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Cache a detection result for an image
+ * Ensemble results where a member failed are not cached; a later scan may get the full verdict.
+ * @param {Object} provider - Provider module that answered
+ * @param {Object} fingerprints - { contentHash, perceptualHash }
+ * @param {Object} analysis - Normalized analysis
+ * @param {Object} options - { s3Url }
+ */
+async function storeCachedResult(provider, { contentHash, perceptualHash }, analysis, { s3Url = null } = {}) {
+  if (!isResultCacheEnabled() || !contentHash) {
+    return;
+  }
+  if (Array.isArray(analysis.providers) && analysis.providers.some(member => member.status === 'error')) {
+    console.log('Not caching a partial ensemble result');
+    return;
+  }
+
+  const version = getCacheVersion(provider);
+  const createdAt = new Date().toISOString();
+  const expiresAt = Math.floor(Date.now() / 1000 + RESULT_CACHE_TTL_SECONDS);
+
+  const putRequests = [{
+    PutRequest: {
+      Item: {
+        cacheKey: getResultKey(version, contentHash),
+        entryKey: RESULT_KEY,
+        provider: provider.name,
+        version: version,
+        contentHash: contentHash,
+        perceptualHash: perceptualHash || null,
+        // Stored as JSON: vendor raw responses can hold values DynamoDB maps reject
+        analysis: JSON.stringify(withoutImageReferences(analysis)),
+        s3Url: s3Url,
+        createdAt: createdAt,
+        expiresAt: expiresAt,
+      },
+    },
+  }];
+
+  if (perceptualHash) {
+    getPerceptualBands(perceptualHash).forEach((bits, band) => {
+      putRequests.push({
+        PutRequest: {
+          Item: {
+            cacheKey: `phash#${version}#${band}#${bits}`,
+            entryKey: contentHash,
+            perceptualHash: perceptualHash,
+            createdAt: createdAt,
+            expiresAt: expiresAt,
+          },
+        },
+      });
+    });
+  }
+
+  try {
+    // Unprocessed items only cost future cache hits, so they are not retried
+    await dynamodb.batchWrite({
+      RequestItems: { [RESULT_CACHE_TABLE]: putRequests },
+    }).promise();
+    console.log(`Cached ${provider.name} result for ${contentHash.substring(0, 16)} (${version})`);
+  } catch (error) {
+    console.warn(`Could not cache detection result: ${error.message}`);
+  }
+}
+
+module.exports = {
+  isResultCacheEnabled,
+  shouldChargeCacheHits,
+  getCacheVersion,
+  withoutImageReferences,
+  lookupCachedResult,
+  storeCachedResult,
+};
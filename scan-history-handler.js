@@ -2,7 +2,9 @@
 require('dotenv').config();
 
 const AWS = require('aws-sdk');
-const { v4: uuidv4 } = require('uuid');
+const { getVerifiedUserId } = require('./cognito-jwt-verifier');
+const { findExistingScan } = require('./scan-history-index');
+const { buildSearchText, parseHistoryQuery, queryScanHistory } = require('./scan-history-query');
 
 // Configure AWS SDK
 const awsConfig = {
@@ -21,16 +23,8 @@ const dynamodb = new AWS.DynamoDB.DocumentClient();
 
 // Configuration
 const SCAN_HISTORY_TABLE = process.env.SCAN_HISTORY_TABLE || 'image-analysis-dev-scan-history';
-
-/**
- * Get current month key for partitioning (YYYY-MM format)
- */
-function getCurrentMonthKey() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  return `${year}-${month}`;
-}
+// Image hashes from the analyze response (hex SHA-256), used to find a scan's record
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
 
 /**
  * Extract token from request headers
@@ -49,91 +43,28 @@ function extractToken(event) {
 }
 
 /**
- * Extract Cognito user ID from JWT token
+ * Extract user ID from request (verified Authorization header only)
  */
-function getCognitoUserIdFromToken(token) {
+async function extractUserId(event) {
+  const token = extractToken(event);
   if (!token) {
     return null;
   }
-  
-  try {
-    // Decode JWT to get user ID
-    const tokenParts = token.split('.');
-    if (tokenParts.length !== 3) {
-      console.warn('Invalid JWT token format: expected 3 parts, got', tokenParts.length);
-      return null;
-    }
-    
-    // Decode the payload (second part)
-    let payload;
-    try {
-      payload = JSON.parse(Buffer.from(tokenParts[1], 'base64').toString());
-    } catch (e) {
-      // Try base64url encoding
-      const base64Url = tokenParts[1].replace(/-/g, '+').replace(/_/g, '/');
-      const base64 = base64Url + '='.repeat((4 - base64Url.length % 4) % 4);
-      payload = JSON.parse(Buffer.from(base64, 'base64').toString());
-    }
-    
-    const userId = payload.sub || payload['cognito:username'] || payload.username;
-    return userId;
-  } catch (tokenError) {
-    console.error('Error extracting user ID from token:', tokenError.message);
-    return null;
-  }
-}
-
-/**
- * Extract user ID from request
- */
-function extractUserId(event) {
-  const token = extractToken(event);
-  if (token) {
-    return getCognitoUserIdFromToken(token);
-  }
-  
-  // Fallback: get from query string
-  const queryParams = event.queryStringParameters || {};
-  return queryParams.userId || queryParams.user_id || null;
+  return getVerifiedUserId(token);
 }
 
 /**
  * Get scan history for a user
+ * @param {string} userId - Cognito user ID
+ * @param {Object} options - From parseHistoryQuery
  */
-async function getScanHistory(userId, limit = 50, lastEvaluatedKey = null) {
+async function getScanHistory(userId, options) {
   if (!userId) {
     throw new Error('User ID is required');
   }
 
-  const params = {
-    TableName: SCAN_HISTORY_TABLE,
-    KeyConditionExpression: 'userId = :userId',
-    ExpressionAttributeValues: {
-      ':userId': userId,
-    },
-    ScanIndexForward: false, // Sort descending (newest first)
-    Limit: limit,
-  };
-
-  if (lastEvaluatedKey) {
-    params.ExclusiveStartKey = lastEvaluatedKey;
-  }
-
   try {
-    const result = await dynamodb.query(params).promise();
-    
-    // Sort by timestamp (newest first) since scanId is deterministic and doesn't reflect creation time
-    const items = (result.Items || []).sort((a, b) => {
-      const timeA = new Date(a.timestamp || a.createdAt || 0).getTime();
-      const timeB = new Date(b.timestamp || b.createdAt || 0).getTime();
-      return timeB - timeA; // Descending order (newest first)
-    });
-    
-    return {
-      items: items,
-      lastEvaluatedKey: result.LastEvaluatedKey || null,
-      count: result.Count || 0,
-    };
+    return await queryScanHistory(SCAN_HISTORY_TABLE, userId, options);
   } catch (error) {
     console.error('Error getting scan history:', error);
     throw error;
@@ -141,90 +72,28 @@ async function getScanHistory(userId, limit = 50, lastEvaluatedKey = null) {
 }
 
 /**
- * Create new scan history entry
+ * Find the scan record a POST refers to
+ * By scanId, else by requestId (one analysis), else by image (contentHash or s3Url).
  */
-async function createScanHistory(userId, scanData) {
-  if (!userId) {
-    throw new Error('User ID is required');
-  }
-
-  const monthKey = getCurrentMonthKey();
-  
-  // Generate deterministic scanId based on s3Url (if available) to prevent duplicates
-  let scanId;
-  if (scanData.s3Url) {
-    // Extract hash from s3Url (format: images/{hash}.{ext})
-    const s3Hash = scanData.s3Url.match(/images\/([^\.]+)/)?.[1] || null;
-    if (s3Hash) {
-      scanId = `${userId}-${s3Hash}`;
-    } else {
-      scanId = `${Date.now()}-${uuidv4()}`;
-    }
-  } else if (scanData.requestId) {
-    // Use requestId to make it somewhat deterministic
-    scanId = `${userId}-${scanData.requestId}`;
-  } else {
-    scanId = `${Date.now()}-${uuidv4()}`;
-  }
-  
-  const expiresAt = Math.floor(Date.now() / 1000) + (365 * 24 * 60 * 60);
-  
-  const historyItem = {
-    userId: userId,
-    scanId: scanId,
-    monthKey: monthKey,
-    timestamp: new Date().toISOString(),
-    success: scanData.success !== undefined ? scanData.success : true,
-    status: scanData.status || 'unknown',
-    deepfakeScore: scanData.deepfakeScore || null,
-    aiProbability: scanData.aiProbability || null,
-    humanProbability: scanData.humanProbability || null,
-    sightengineRequestId: scanData.sightengineRequestId || null,
-    gowinstonRequestId: scanData.gowinstonRequestId || null,
-    s3Url: scanData.s3Url || null,
-    requestId: scanData.requestId || null,
-    source: scanData.source || 'image-analysis',
-    label: scanData.label || null,
-    note: scanData.note || null,
-    createdAt: new Date().toISOString(),
-    expiresAt: expiresAt,
-  };
-  
-  try {
-    // Use conditional put to prevent duplicates atomically
-    await dynamodb.put({
+async function findScanRecord(userId, body) {
+  if (body.scanId) {
+    const result = await dynamodb.get({
       TableName: SCAN_HISTORY_TABLE,
-      Item: historyItem,
-      ConditionExpression: 'attribute_not_exists(userId) AND attribute_not_exists(scanId)',
+      Key: { userId: userId, scanId: String(body.scanId) },
     }).promise();
-    
-    console.log(`✅ Scan history created successfully for user: ${userId}, scan: ${scanId}`);
-    return historyItem;
-  } catch (error) {
-    // If conditional put fails due to item already existing, return existing item
-    if (error.code === 'ConditionalCheckFailedException') {
-      console.log(`⚠️ Scan with scanId ${scanId} already exists for user ${userId}. Returning existing item.`);
-      try {
-        const existing = await dynamodb.get({
-          TableName: SCAN_HISTORY_TABLE,
-          Key: { userId: userId, scanId: scanId },
-        }).promise();
-        if (existing.Item) {
-          return existing.Item;
-        }
-      } catch (getError) {
-        console.warn('Could not retrieve existing scan:', getError.message);
-      }
-      return historyItem; // Return the item we tried to save
-    }
-    
-    console.error('❌ Error creating scan history:', error);
-    throw error;
+    return result.Item || null;
   }
+  if (body.requestId) {
+    return findExistingScan(SCAN_HISTORY_TABLE, userId, { requestId: String(body.requestId) });
+  }
+  return findExistingScan(SCAN_HISTORY_TABLE, userId, {
+    contentHash: SHA256_PATTERN.test(body.contentHash || '') ? body.contentHash : null,
+    s3Url: typeof body.s3Url === 'string' ? body.s3Url : null,
+  });
 }
 
 /**
- * Update scan history item (label and note)
+ * Update scan history item (label, note and visibility)
  */
 async function updateScanHistory(userId, scanId, updateData) {
   if (!userId) {
@@ -267,6 +136,22 @@ async function updateScanHistory(userId, scanId, updateData) {
       expressionAttributeNames['#note'] = 'note';
       expressionAttributeValues[':note'] = updateData.note || null;
     }
+
+    // Keep the search copy of the label and note in step with them
+    if (updateData.label !== undefined || updateData.note !== undefined) {
+      updateExpressions.push('#searchText = :searchText');
+      expressionAttributeNames['#searchText'] = 'searchText';
+      expressionAttributeValues[':searchText'] = buildSearchText(
+        updateData.label !== undefined ? updateData.label : existingItem.Item.label,
+        updateData.note !== undefined ? updateData.note : existingItem.Item.note
+      );
+    }
+
+    if (updateData.visible !== undefined) {
+      updateExpressions.push('#visible = :visible');
+      expressionAttributeNames['#visible'] = 'visible';
+      expressionAttributeValues[':visible'] = updateData.visible;
+    }
     
     if (updateExpressions.length === 0) {
       throw new Error('No fields to update');
@@ -318,7 +203,7 @@ exports.handler = async (event) => {
 
   try {
     // Extract user ID from token
-    const userId = extractUserId(event);
+    const userId = await extractUserId(event);
     
     if (!userId) {
       return {
@@ -350,53 +235,59 @@ exports.handler = async (event) => {
         }
       }
       
-      // Validate required fields
-      if (!body.s3Url && !body.requestId) {
+      // Scan records are written by /analyze; clients can only show, hide and label them.
+      // Verdict fields in the body (status, scores, provider request IDs) are ignored.
+      if (!body.scanId && !body.requestId && !body.s3Url && !body.contentHash) {
         return {
           statusCode: 400,
           headers,
           body: JSON.stringify({
             success: false,
-            error: 'Either s3Url or requestId is required',
+            error: 'One of scanId, requestId, s3Url or contentHash is required',
           }),
         };
       }
-      
-      if (!body.status) {
+
+      if (body.visible !== undefined && typeof body.visible !== 'boolean') {
         return {
           statusCode: 400,
           headers,
           body: JSON.stringify({
             success: false,
-            error: 'Status is required',
+            error: 'visible must be true or false',
           }),
         };
       }
-      
-      // Create scan history entry
-      const scanData = {
-        success: body.success !== undefined ? body.success : true,
-        status: body.status,
-        deepfakeScore: body.deepfakeScore || null,
-        aiProbability: body.aiProbability || null,
-        humanProbability: body.humanProbability || null,
-        sightengineRequestId: body.sightengineRequestId || null,
-        gowinstonRequestId: body.gowinstonRequestId || null,
-        s3Url: body.s3Url || null,
-        requestId: body.requestId || null,
-        source: body.source || 'image-analysis',
-        label: body.label || null,
-        note: body.note || null,
-      };
-      
-      const newScan = await createScanHistory(userId, scanData);
-      
+
+      const existingScan = await findScanRecord(userId, body);
+      if (!existingScan) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Scan not found. Scan records are created when an image is analyzed.',
+          }),
+        };
+      }
+
+      // "Save to History" from older app versions sends no flag, and means show it
+      const updateData = { visible: body.visible !== undefined ? body.visible : true };
+      if (body.label !== undefined) {
+        updateData.label = body.label;
+      }
+      if (body.note !== undefined) {
+        updateData.note = body.note;
+      }
+
+      const updatedScan = await updateScanHistory(userId, existingScan.scanId, updateData);
+
       return {
-        statusCode: 201,
+        statusCode: 200,
         headers,
         body: JSON.stringify({
           success: true,
-          scan: newScan,
+          scan: updatedScan,
         }),
       };
     }
@@ -445,13 +336,26 @@ exports.handler = async (event) => {
         };
       }
       
-      // Extract label and note from body
+      // Extract label, note and visibility from body
       if (body.label !== undefined) {
         updateData.label = body.label;
       }
       if (body.note !== undefined) {
         updateData.note = body.note;
       }
+      if (body.visible !== undefined) {
+        if (typeof body.visible !== 'boolean') {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+              success: false,
+              error: 'visible must be true or false',
+            }),
+          };
+        }
+        updateData.visible = body.visible;
+      }
       
       if (Object.keys(updateData).length === 0) {
         return {
@@ -459,7 +363,7 @@ exports.handler = async (event) => {
           headers,
           body: JSON.stringify({
             success: false,
-            error: 'No fields to update. Provide label and/or note.',
+            error: 'No fields to update. Provide label, note and/or visible.',
           }),
         };
       }
@@ -479,27 +383,21 @@ exports.handler = async (event) => {
 
     // Handle GET requests for retrieving scan history
     if (event.httpMethod === 'GET') {
-      // Get query parameters
-      const queryParams = event.queryStringParameters || {};
-      const limit = parseInt(queryParams.limit || '50', 10);
-      const lastEvaluatedKey = queryParams.lastEvaluatedKey 
-        ? JSON.parse(decodeURIComponent(queryParams.lastEvaluatedKey))
-        : null;
-
-      // Validate limit
-      if (limit < 1 || limit > 100) {
+      // Filters, search, sort order and paging from the query string
+      const query = parseHistoryQuery(event.queryStringParameters);
+      if (query.error) {
         return {
           statusCode: 400,
           headers,
           body: JSON.stringify({
             success: false,
-            error: 'Invalid limit. Limit must be between 1 and 100.',
+            error: query.error,
           }),
         };
       }
 
       // Get scan history
-      const history = await getScanHistory(userId, limit, lastEvaluatedKey);
+      const history = await getScanHistory(userId, query.options);
 
       return {
         statusCode: 200,
@@ -507,9 +405,10 @@ exports.handler = async (event) => {
         body: JSON.stringify({
           success: true,
           scans: history.items,
-          count: history.count,
-          hasMore: !!history.lastEvaluatedKey,
-          lastEvaluatedKey: history.lastEvaluatedKey,
+          count: history.items.length,
+          hasMore: !!history.nextCursor,
+          // Pass back as ?cursor= for the next page (with the same filters)
+          nextCursor: history.nextCursor,
         }),
       };
     }
@@ -0,0 +1,143 @@
+/**
+ * Scan History Index
+ * Finds a user's existing scan-history record for an image or request with queries on the
+ * table's global secondary indexes instead of table scans:
+ * - userId-contentHash-index - the image's SHA-256. Also answers s3Url lookups: original
+ *   images are stored as images/<first 16 hex of the hash>.<ext>
+ * - userId-requestId-index   - the analyze requestId
+ *
+ * Both indexes are sparse. DynamoDB rejects a write whose index key attribute is not a string
+ * (null included), so records leave a missing contentHash or requestId out instead of storing
+ * null (withIndexKeys). backfill-scan-history-index.js brings older rows in line.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const CONTENT_HASH_INDEX = 'userId-contentHash-index';
+const REQUEST_ID_INDEX = 'userId-requestId-index';
+// Attributes that key an index, and so must be a string or absent
+const INDEX_KEY_ATTRIBUTES = ['contentHash', 'requestId'];
+// Key of an original image in an S3 URL from uploadToS3 (normalized copies are not recorded)
+const S3_IMAGE_KEY_PATTERN = /\/images\/([0-9a-f]{16})\.[a-z0-9]+$/;
+
+/**
+ * A scan-history item as it can be written: index key attributes that are not
+ * non-empty strings are left out
+ * @param {Object} item - Scan history item
+ * @returns {Object} Copy of the item
+ */
+function withIndexKeys(item) {
+  const result = { ...item };
+  INDEX_KEY_ATTRIBUTES.forEach((attribute) => {
+    if (typeof result[attribute] !== 'string' || result[attribute] === '') {
+      delete result[attribute];
+    }
+  });
+  return result;
+}
+
+/**
+ * Hash prefix an S3 image URL was stored under
+ * @param {string} s3Url - URL from uploadToS3
+ * @returns {string|null} 16 hex characters, or null for other URLs
+ */
+function getS3UrlHashPrefix(s3Url) {
+  const match = String(s3Url || '').match(S3_IMAGE_KEY_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * First item of an index query, following pages until one matches
+ */
+async function queryFirst(params) {
+  let exclusiveStartKey;
+  do {
+    const result = await dynamodb.query({
+      ...params,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey }),
+    }).promise();
+    if (result.Items && result.Items.length > 0) {
+      return result.Items[0];
+    }
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+  return null;
+}
+
+/**
+ * Find a user's existing scan-history record for the same image or request
+ * Checked in order: content hash, S3 URL, requestId. Lookup errors are logged and
+ * treated as no match, so saving a scan never fails on them.
+ * @param {string} tableName - Scan history table
+ * @param {string} userId - Cognito user ID
+ * @param {Object} scan - { contentHash, s3Url, requestId }; any may be missing
+ * @returns {Promise<Object|null>} The existing item
+ */
+async function findExistingScan(tableName, userId, { contentHash, s3Url, requestId }) {
+  try {
+    if (contentHash) {
+      const item = await queryFirst({
+        TableName: tableName,
+        IndexName: CONTENT_HASH_INDEX,
+        KeyConditionExpression: 'userId = :userId AND contentHash = :contentHash',
+        ExpressionAttributeValues: { ':userId': userId, ':contentHash': contentHash },
+      });
+      if (item) {
+        return item;
+      }
+    }
+
+    const hashPrefix = getS3UrlHashPrefix(s3Url);
+    if (hashPrefix) {
+      const item = await queryFirst({
+        TableName: tableName,
+        IndexName: CONTENT_HASH_INDEX,
+        KeyConditionExpression: 'userId = :userId AND begins_with(contentHash, :hashPrefix)',
+        FilterExpression: 's3Url = :s3Url',
+        ExpressionAttributeValues: { ':userId': userId, ':hashPrefix': hashPrefix, ':s3Url': s3Url },
+      });
+      if (item) {
+        return item;
+      }
+    }
+
+    if (requestId) {
+      return await queryFirst({
+        TableName: tableName,
+        IndexName: REQUEST_ID_INDEX,
+        KeyConditionExpression: 'userId = :userId AND requestId = :requestId',
+        ExpressionAttributeValues: { ':userId': userId, ':requestId': requestId },
+      });
+    }
+  } catch (error) {
+    console.warn('Error checking for existing scan:', error.message);
+  }
+
+  return null;
+}
+
+module.exports = {
+  CONTENT_HASH_INDEX,
+  REQUEST_ID_INDEX,
+  INDEX_KEY_ATTRIBUTES,
+  withIndexKeys,
+  getS3UrlHashPrefix,
+  findExistingScan,
+};
@@ -0,0 +1,313 @@
+/**
+ * Scan History Query
+ * Lists a user's scan history for GET /scan-history in creation order, through the
+ * userId-createdAt-index GSI (scanId is not time-ordered, so the table's own sort key can't be used).
+ * - filters: status (one or several), source, label, createdAt date range, hidden records
+ * - search: every word of `q` must appear in the label or note (case-insensitive)
+ * - pages: filters run after DynamoDB reads a page, so several pages may be read to fill one;
+ *   the position is returned as an opaque cursor, never as a raw DynamoDB key. A cursor only
+ *   continues the query it came from: other filters or order get a 400
+ *
+ * The index is rolled out in steps (SCAN_HISTORY_INDEXES, see serverless.yml). Until it is
+ * built and backfilled, listing reads the table itself in scanId order, as it did before.
+ *
+ * Options errors come back as { error } for a 400, like parseNotifyOptions.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const CREATED_AT_INDEX = 'userId-createdAt-index';
+// SCAN_HISTORY_INDEXES step from which listing reads CREATED_AT_INDEX (created at step 3)
+const CREATED_AT_INDEX_STEP = 4;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+// DynamoDB pages read per request before a short page is returned with a cursor
+const MAX_QUERY_PAGES = 5;
+const MAX_STATUSES = 5;
+const MAX_SEARCH_LENGTH = 100;
+const STATUS_PATTERN = /^[a-z_]{1,32}$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Lowercased label and note, kept on the record for case-insensitive search
+ * @returns {string|null} null when there is nothing to search
+ */
+function buildSearchText(label, note) {
+  const text = [label, note].filter(value => typeof value === 'string' && value.trim()).join(' ').toLowerCase();
+  return text || null;
+}
+
+/**
+ * Whether listing reads CREATED_AT_INDEX yet
+ */
+function listsByCreatedAt() {
+  return Number(process.env.SCAN_HISTORY_INDEXES || CREATED_AT_INDEX_STEP) >= CREATED_AT_INDEX_STEP;
+}
+
+/**
+ * Short digest of the filters and order of a query (not its limit or position)
+ */
+function getQueryDigest(options) {
+  const { order, statuses, source, label, from, to, searchTerms, includeHidden } = options;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([order, statuses, source, label, from, to, searchTerms, includeHidden]))
+    .digest('base64url')
+    .substring(0, 16);
+}
+
+/**
+ * Opaque cursor for the position after an item
+ * Only the sort position and the query's digest are encoded; the user always comes from the
+ * caller's token.
+ * @param {Object} item - Last item returned (or a LastEvaluatedKey)
+ * @param {Object} options - From parseHistoryQuery
+ */
+function encodeCursor(item, options) {
+  return Buffer.from(JSON.stringify({ c: item.createdAt, s: item.scanId, q: getQueryDigest(options) }))
+    .toString('base64url');
+}
+
+/**
+ * Position a cursor points at
+ * @returns {Object|null} { createdAt, scanId, query }, or null if it is not a cursor from
+ *                        encodeCursor. createdAt is null for a position in the table (before
+ *                        the index); query is the digest of the query it belongs to.
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if ((position.c !== undefined && typeof position.c !== 'string') ||
+      typeof position.s !== 'string' || typeof position.q !== 'string') {
+      return null;
+    }
+    return { createdAt: position.c || null, scanId: position.s, query: position.q };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * ISO timestamp for a from/to parameter; a bare date covers the whole (UTC) day
+ * @returns {string|null} null if the value is not a date
+ */
+function parseDateBound(value, endOfDay) {
+  const text = String(value);
+  const time = Date.parse(DATE_ONLY_PATTERN.test(text) ? `${text}T00:00:00.000Z` : text);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  const bound = DATE_ONLY_PATTERN.test(text) && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+  return new Date(bound).toISOString();
+}
+
+/**
+ * Read list options from GET /scan-history query parameters
+ * limit, cursor, order (desc|asc), status (comma-separated), source, label, from, to,
+ * q (search) and includeHidden
+ * @param {Object} queryParams - event.queryStringParameters
+ * @returns {Object} { options } or { error }
+ */
+function parseHistoryQuery(queryParams) {
+  const params = queryParams || {};
+
+  const limit = params.limit !== undefined ? Number(params.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Invalid limit. Limit must be between 1 and ${MAX_LIMIT}.` };
+  }
+
+  const order = params.order || 'desc';
+  if (order !== 'desc' && order !== 'asc') {
+    return { error: 'Invalid order. Use desc (newest first) or asc.' };
+  }
+
+  let statuses = [];
+  if (params.status) {
+    statuses = [...new Set(String(params.status).split(',').map(status => status.trim()).filter(Boolean))];
+    if (statuses.length > MAX_STATUSES || !statuses.every(status => STATUS_PATTERN.test(status))) {
+      return { error: `Invalid status. Give up to ${MAX_STATUSES} comma-separated statuses, e.g. authentic,deepfake_detected.` };
+    }
+  }
+
+  const from = params.from ? parseDateBound(params.from, false) : null;
+  const to = params.to ? parseDateBound(params.to, true) : null;
+  if ((params.from && !from) || (params.to && !to)) {
+    return { error: 'Invalid date range. from and to must be ISO 8601 dates or timestamps.' };
+  }
+  if (from && to && from > to) {
+    return { error: 'Invalid date range. from must not be after to.' };
+  }
+
+  const search = params.q ? String(params.q).trim().toLowerCase() : '';
+  if (search.length > MAX_SEARCH_LENGTH) {
+    return { error: `Search text is too long. Maximum is ${MAX_SEARCH_LENGTH} characters.` };
+  }
+
+  const options = {
+    limit: limit,
+    order: order,
+    cursor: null,
+    statuses: statuses,
+    source: params.source || null,
+    label: params.label || null,
+    from: from,
+    to: to,
+    searchTerms: search ? search.split(/\s+/) : [],
+    includeHidden: params.includeHidden === 'true',
+  };
+
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor || (listsByCreatedAt() && !cursor.createdAt)) {
+      return { error: 'Invalid cursor. Use nextCursor from a previous response.' };
+    }
+    // The index rejects a start key outside the key condition's date range
+    if (cursor.query !== getQueryDigest(options) ||
+      (cursor.createdAt && ((from && cursor.createdAt < from) || (to && cursor.createdAt > to)))) {
+      return { error: 'Invalid cursor. Pass nextCursor with the same filters and order as the request that returned it.' };
+    }
+    options.cursor = cursor;
+  }
+
+  return { options: options };
+}
+
+/**
+ * DynamoDB query parameters for list options (without paging)
+ */
+function buildHistoryQuery(tableName, userId, options) {
+  const names = {};
+  const values = { ':userId': userId };
+
+  let dateCondition = null;
+  if (options.from && options.to) {
+    dateCondition = 'createdAt BETWEEN :from AND :to';
+    values[':from'] = options.from;
+    values[':to'] = options.to;
+  } else if (options.from) {
+    dateCondition = 'createdAt >= :from';
+    values[':from'] = options.from;
+  } else if (options.to) {
+    dateCondition = 'createdAt <= :to';
+    values[':to'] = options.to;
+  }
+
+  // Without the index the date range can only filter
+  const byCreatedAt = listsByCreatedAt();
+  const keyCondition = byCreatedAt && dateCondition ? `userId = :userId AND ${dateCondition}` : 'userId = :userId';
+  const filters = !byCreatedAt && dateCondition ? [dateCondition] : [];
+  if (!options.includeHidden) {
+    // Rows from before visibility existed have no flag and are shown
+    names['#visible'] = 'visible';
+    values[':visible'] = true;
+    filters.push('(attribute_not_exists(#visible) OR #visible = :visible)');
+  }
+  if (options.statuses.length > 0) {
+    names['#status'] = 'status';
+    options.statuses.forEach((status, index) => {
+      values[`:status${index}`] = status;
+    });
+    filters.push(`#status IN (${options.statuses.map((status, index) => `:status${index}`).join(', ')})`);
+  }
+  if (options.source) {
+    names['#source'] = 'source';
+    values[':source'] = options.source;
+    filters.push('#source = :source');
+  }
+  if (options.label) {
+    names['#label'] = 'label';
+    values[':label'] = options.label;
+    filters.push('#label = :label');
+  }
+  if (options.searchTerms.length > 0) {
+    // Rows labelled before searchText existed are matched case-sensitively on label and note
+    names['#label'] = 'label';
+    names['#note'] = 'note';
+    names['#searchText'] = 'searchText';
+    options.searchTerms.forEach((term, index) => {
+      values[`:term${index}`] = term;
+      filters.push(`(contains(#searchText, :term${index}) OR (attribute_not_exists(#searchText) AND (contains(#label, :term${index}) OR contains(#note, :term${index}))))`);
+    });
+  }
+
+  return {
+    TableName: tableName,
+    ...(byCreatedAt && { IndexName: CREATED_AT_INDEX }),
+    KeyConditionExpression: keyCondition,
+    ...(filters.length > 0 && { FilterExpression: filters.join(' AND ') }),
+    ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+    ExpressionAttributeValues: values,
+    ScanIndexForward: options.order === 'asc',
+  };
+}
+
+/**
+ * List a user's scans
+ * @param {string} tableName - Scan history table
+ * @param {string} userId - Cognito user ID
+ * @param {Object} options - From parseHistoryQuery
+ * @returns {Promise<Object>} { items, nextCursor }; nextCursor is null on the last page
+ */
+async function queryScanHistory(tableName, userId, options) {
+  const params = buildHistoryQuery(tableName, userId, options);
+  const items = [];
+  let exclusiveStartKey = options.cursor
+    ? {
+      userId: userId,
+      scanId: options.cursor.scanId,
+      ...(params.IndexName && { createdAt: options.cursor.createdAt }),
+    }
+    : null;
+
+  for (let page = 0; page < MAX_QUERY_PAGES; page++) {
+    const result = await dynamodb.query({
+      ...params,
+      Limit: options.limit,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey }),
+    }).promise();
+
+    for (const item of result.Items || []) {
+      items.push(item);
+      if (items.length === options.limit) {
+        // More may follow: continue after the last item returned, not after the page read
+        const more = result.LastEvaluatedKey || item !== result.Items[result.Items.length - 1];
+        return { items: items, nextCursor: more ? encodeCursor(item, options) : null };
+      }
+    }
+
+    if (!result.LastEvaluatedKey) {
+      return { items: items, nextCursor: null };
+    }
+    exclusiveStartKey = result.LastEvaluatedKey;
+  }
+
+  // Read budget spent on filtered-out rows: return a short page that can be continued
+  return { items: items, nextCursor: encodeCursor(exclusiveStartKey, options) };
+}
+
+module.exports = {
+  CREATED_AT_INDEX,
+  buildSearchText,
+  encodeCursor,
+  decodeCursor,
+  parseHistoryQuery,
+  buildHistoryQuery,
+  queryScanHistory,
+};
@@ -0,0 +1,76 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { extractUserId } = require('./analyze-pipeline');
+const { getScanJob, toJobStatus } = require('./scan-jobs');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+  'Access-Control-Allow-Methods': 'GET,OPTIONS',
+};
+
+/**
+ * GET /analyze/jobs/{jobId}
+ * Status of an async scan started with POST /analyze?async=true; once it has finished,
+ * `result` holds what the synchronous /analyze would have returned.
+ */
+exports.handler = async (event) => {
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: '',
+    };
+  }
+
+  try {
+    const userId = await extractUserId(event);
+    if (!userId) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Authentication required.',
+        }),
+      };
+    }
+
+    const jobId = event.pathParameters && event.pathParameters.jobId;
+    const job = jobId ? await getScanJob(jobId) : null;
+
+    // Other users' jobs look the same as missing ones
+    if (!job || job.userId !== userId) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Scan job not found',
+        }),
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        job: toJobStatus(job),
+      }),
+    };
+  } catch (error) {
+    console.error('Error getting scan job:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: error.message || 'Internal server error',
+      }),
+    };
+  }
+};
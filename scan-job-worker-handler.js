@@ -0,0 +1,14 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { wrapHandler } = require('./middleware/errorHandler');
+const { runScanJob } = require('./analyze-pipeline');
+
+/**
+ * Async scan worker, invoked by POST /analyze?async=true with { jobId }
+ * Runs the detection for a queued job, settles its token and sends its completion notifications.
+ */
+const handler = async (event, context) => runScanJob(event.jobId, context);
+
+// Wrap handler with Sentry error tracking
+exports.handler = wrapHandler(handler);
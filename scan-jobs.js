@@ -0,0 +1,343 @@
+/**
+ * Scan Jobs
+ * Asynchronous scans (POST /analyze?async=true) for vendors slower than the API Gateway timeout.
+ * The API Lambda does every pre-scan check, reserves the token, stores the image and
+ * writes a 'queued' job; the worker Lambda claims it ('running'), runs the detection,
+ * settles the token and records the outcome ('succeeded' or 'failed').
+ * The job owns the token reservation from then on: it is held for SCAN_JOB_HOLD_SECONDS,
+ * long enough for the worker, and released by the sweeper if the worker never settles it.
+ * On completion the caller can be told by Expo push notification and/or a signed webhook.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const axios = require('axios');
+const crypto = require('crypto');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { parsePublicUrl, resolvePublicAddress, pinnedLookup } = require('./public-url');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const lambda = new AWS.Lambda();
+
+const SCAN_JOBS_TABLE = process.env.SCAN_JOBS_TABLE || 'image-analysis-dev-scan-jobs';
+const SCAN_JOB_WORKER_FUNCTION = process.env.SCAN_JOB_WORKER_FUNCTION || 'image-analysis-dev-scanJobWorker';
+// Must outlast the worker Lambda timeout so the sweeper never releases a running job's token
+const SCAN_JOB_HOLD_MS = parseInt(process.env.SCAN_JOB_HOLD_SECONDS || '300', 10) * 1000;
+// Finished jobs stay readable this long, then expire via TTL
+const SCAN_JOB_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const NOTIFY_TIMEOUT_MS = 5000;
+// Webhooks go through the public URL policy like image URLs: https only, public addresses only
+const CALLBACK_URL_POLICY = {
+  protocols: ['https:'],
+  subject: 'callbackUrl',
+  errorCodes: { invalid: 'INVALID_CALLBACK_URL', blocked: 'CALLBACK_URL_BLOCKED', unresolved: 'INVALID_CALLBACK_URL' },
+};
+
+/**
+ * Check a webhook URL and resolve it to the public address to connect to
+ * Run when the job is queued and again before sending, since DNS can change in between.
+ * @returns {Promise<Object>} { url, resolved: { address, family } }
+ */
+async function checkCallbackUrl(callbackUrl) {
+  const url = parsePublicUrl(callbackUrl, CALLBACK_URL_POLICY);
+  const resolved = await resolvePublicAddress(url, CALLBACK_URL_POLICY);
+  return { url, resolved };
+}
+
+/**
+ * How long an async scan's token is held
+ */
+function getScanJobHoldMs() {
+  return SCAN_JOB_HOLD_MS;
+}
+
+/**
+ * Validate the completion notification options of an async scan request
+ * A callbackUrl must pass the public URL policy, and is refused outright when
+ * SCAN_JOB_WEBHOOK_SECRET is not set (webhooks are never sent unsigned).
+ * @param {Object} body - Request body ({ pushToken, callbackUrl })
+ * @returns {Promise<Object>} { error, errorCode } or { notify: { pushToken, callbackUrl } }
+ */
+async function parseNotifyOptions(body) {
+  const pushToken = body.pushToken || null;
+  const callbackUrl = body.callbackUrl || null;
+
+  if (pushToken && !/^Expo(nent)?PushToken\[[^\]]+\]$/.test(pushToken)) {
+    return { error: 'Invalid pushToken. Expected an Expo push token (ExponentPushToken[...]).' };
+  }
+
+  if (callbackUrl) {
+    if (!process.env.SCAN_JOB_WEBHOOK_SECRET) {
+      return { error: 'callbackUrl is not available: webhooks are not configured on this server. Use pushToken or poll statusUrl.' };
+    }
+    try {
+      await checkCallbackUrl(callbackUrl);
+    } catch (error) {
+      if (!error.errorCode) {
+        throw error;
+      }
+      return { error: error.message, errorCode: error.errorCode };
+    }
+  }
+
+  return { notify: { pushToken: pushToken, callbackUrl: callbackUrl } };
+}
+
+/**
+ * Write a queued scan job
+ * @param {Object} scan - { userId, deviceId, deviceInfo, service, requestedProvider, version,
+ *                        imageUrl, s3Bucket, s3Key, contentType, s3Url, fingerprints, reservation, notify }
+ * @returns {Promise<Object>} The stored job
+ */
+async function createScanJob(scan) {
+  const now = new Date().toISOString();
+  const job = {
+    jobId: uuidv4(),
+    userId: scan.userId,
+    status: 'queued',
+    deviceId: scan.deviceId || null,
+    deviceInfo: scan.deviceInfo,
+    service: scan.service,
+    requestedProvider: scan.requestedProvider,
+    version: scan.version,
+    imageUrl: scan.imageUrl || null,
+    s3Bucket: scan.s3Bucket || null,
+    s3Key: scan.s3Key || null,
+    contentType: scan.contentType || null,
+    s3Url: scan.s3Url || null,
+    sourceUrl: scan.sourceUrl || null,
+    fingerprints: scan.fingerprints || null,
+    // Enough of the reservation for the worker to commit or release it
+    reservation: {
+      reservationId: scan.reservation.reservationId,
+      userId: scan.reservation.userId,
+      tokens: scan.reservation.tokens,
+      balance: scan.reservation.balance,
+      holdUntil: scan.reservation.holdUntil,
+    },
+    notify: scan.notify || { pushToken: null, callbackUrl: null },
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: Math.floor(scan.reservation.holdUntil / 1000) + SCAN_JOB_RETENTION_SECONDS,
+  };
+
+  await dynamodb.put({
+    TableName: SCAN_JOBS_TABLE,
+    Item: job,
+    ConditionExpression: 'attribute_not_exists(jobId)',
+  }).promise();
+
+  console.log(`📋 Queued scan job ${job.jobId} for user ${job.userId} (${job.requestedProvider})`);
+  return job;
+}
+
+/**
+ * Hand a queued job to the worker Lambda (asynchronous invoke, returns immediately)
+ */
+async function startScanJob(jobId) {
+  await lambda.invoke({
+    FunctionName: SCAN_JOB_WORKER_FUNCTION,
+    InvocationType: 'Event',
+    Payload: JSON.stringify({ jobId: jobId }),
+  }).promise();
+  console.log(`Started worker for scan job ${jobId}`);
+}
+
+/**
+ * Get a job by ID
+ */
+async function getScanJob(jobId) {
+  const result = await dynamodb.get({
+    TableName: SCAN_JOBS_TABLE,
+    Key: { jobId: jobId },
+  }).promise();
+  return result.Item || null;
+}
+
+/**
+ * Move a queued job to running
+ * Only one worker can claim a job, so a duplicate invoke does nothing.
+ * @returns {Promise<Object|null>} The claimed job, or null if it was not queued
+ */
+async function claimScanJob(jobId) {
+  try {
+    const result = await dynamodb.update({
+      TableName: SCAN_JOBS_TABLE,
+      Key: { jobId: jobId },
+      UpdateExpression: 'SET #status = :running, startedAt = :now, updatedAt = :now',
+      ConditionExpression: '#status = :queued',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':running': 'running',
+        ':queued': 'queued',
+        ':now': new Date().toISOString(),
+      },
+      ReturnValues: 'ALL_NEW',
+    }).promise();
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a job's outcome
+ * @param {string} jobId - Job ID
+ * @param {Object} outcome - { statusCode, body }: what the synchronous /analyze would have returned
+ */
+async function finishScanJob(jobId, outcome) {
+  const succeeded = outcome.statusCode === 200;
+  await dynamodb.update({
+    TableName: SCAN_JOBS_TABLE,
+    Key: { jobId: jobId },
+    UpdateExpression: 'SET #status = :status, statusCode = :statusCode, #result = :result, completedAt = :now, updatedAt = :now',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      '#result': 'result',
+    },
+    ExpressionAttributeValues: {
+      ':status': succeeded ? 'succeeded' : 'failed',
+      ':statusCode': outcome.statusCode,
+      // Stored as JSON: vendor raw responses can hold values DynamoDB maps reject
+      ':result': JSON.stringify(outcome.body),
+      ':now': new Date().toISOString(),
+    },
+  }).promise();
+  console.log(`${succeeded ? '✅' : '❌'} Scan job ${jobId} ${succeeded ? 'succeeded' : 'failed'} (${outcome.statusCode})`);
+}
+
+/**
+ * Public view of a job for GET /analyze/jobs/{jobId}
+ * A job still queued or running after its token hold ran out has lost its worker; it is
+ * reported as failed (the sweeper gives the token back).
+ */
+function toJobStatus(job) {
+  const view = {
+    jobId: job.jobId,
+    status: job.status,
+    requestedProvider: job.requestedProvider,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt || null,
+  };
+
+  if (job.status === 'succeeded' || job.status === 'failed') {
+    view.statusCode = job.statusCode;
+    view.result = JSON.parse(job.result);
+  } else if (Date.now() > job.reservation.holdUntil) {
+    view.status = 'failed';
+    view.statusCode = 504;
+    view.result = { success: false, error: 'The scan did not finish in time. Your token has been returned.' };
+  }
+
+  return view;
+}
+
+/**
+ * Send an Expo push notification for a finished job
+ */
+async function sendPushNotification(pushToken, job, outcome) {
+  const succeeded = outcome.statusCode === 200;
+  await axios.post(EXPO_PUSH_URL, {
+    to: pushToken,
+    title: succeeded ? 'Scan complete' : 'Scan failed',
+    body: succeeded ? 'Your photo scan is ready. Tap to see the result.' : 'We could not finish your photo scan. Your token has been returned.',
+    data: { jobId: job.jobId, status: succeeded ? 'succeeded' : 'failed' },
+  }, {
+    timeout: NOTIFY_TIMEOUT_MS,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST the job outcome to the caller's webhook
+ * The URL is checked again and the connection pinned to the checked address.
+ * Signed with HMAC-SHA256 of the raw body (X-Scan-Signature); never sent without SCAN_JOB_WEBHOOK_SECRET.
+ */
+async function sendWebhook(callbackUrl, job, outcome) {
+  const secret = process.env.SCAN_JOB_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('SCAN_JOB_WEBHOOK_SECRET is not set, not sending an unsigned webhook');
+  }
+  const { url, resolved } = await checkCallbackUrl(callbackUrl);
+
+  const payload = JSON.stringify({
+    jobId: job.jobId,
+    status: outcome.statusCode === 200 ? 'succeeded' : 'failed',
+    statusCode: outcome.statusCode,
+    result: outcome.body,
+  });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Scan-Signature': `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`,
+  };
+
+  await axios.post(url.href, payload, {
+    timeout: NOTIFY_TIMEOUT_MS,
+    headers: headers,
+    maxRedirects: 0,
+    // Connect to the address that was checked
+    httpsAgent: new https.Agent({ lookup: pinnedLookup(resolved) }),
+    proxy: false,
+  });
+}
+
+/**
+ * Tell the caller a job finished, by push and/or webhook
+ * Notification failures are logged only; the result stays available by polling.
+ */
+async function notifyScanJobComplete(job, outcome) {
+  const { pushToken, callbackUrl } = job.notify || {};
+
+  if (pushToken) {
+    try {
+      await sendPushNotification(pushToken, job, outcome);
+      console.log(`Push notification sent for scan job ${job.jobId}`);
+    } catch (error) {
+      console.error(`❌ Failed to send push notification for scan job ${job.jobId}:`, error.message);
+    }
+  }
+
+  if (callbackUrl) {
+    try {
+      await sendWebhook(callbackUrl, job, outcome);
+      console.log(`Webhook delivered for scan job ${job.jobId}`);
+    } catch (error) {
+      console.error(`❌ Failed to deliver webhook for scan job ${job.jobId}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  getScanJobHoldMs,
+  parseNotifyOptions,
+  createScanJob,
+  startScanJob,
+  getScanJob,
+  claimScanJob,
+  finishScanJob,
+  toJobStatus,
+  notifyScanJobComplete,
+};
@@ -2,9 +2,13 @@
 require('dotenv').config();
 
 const AWS = require('aws-sdk');
-const { v4: uuidv4 } = require('uuid');
 const { wrapHandler, captureException } = require('./middleware/errorHandler');
 const { getDeviceScanCount, hasUserPurchased, getDeviceFreeScanLimit } = require('./device-scan-helpers');
+const { resolveIdentity, isAdminUser, getHeader, writeAuditLog } = require('./request-identity');
+const { isFeatureEnabled, authorizeFeature, getStage, TEST_SECRET_HEADER } = require('./feature-flags');
+const { TOKEN_PACKS, creditTokenPack, getPurchaseByTransaction, recordPurchaseConfirmation } = require('./token-purchases');
+const { validatePurchase } = require('./receipt-validator');
+const { changeTokenBalance, decodeLedgerCursor, getLedgerEntries } = require('./token-ledger');
 
 // Configure AWS SDK
 const awsConfig = {
@@ -31,49 +35,6 @@ const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID || '';
 const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'image-analysis-dev-subscriptions';
 const SCAN_COUNTS_TABLE = process.env.SCAN_COUNTS_TABLE || 'image-analysis-dev-scan-counts';
 
-// Token pack configurations (must match App Store / RevenueCat product IDs)
-const TOKEN_PACKS = {
-  'pack_5': { tokens: 5, price: 4.99 },
-  'pack_15': { tokens: 15, price: 4.99 },
-  'pack_20': { tokens: 20, price: 14.99 },
-  'pack_50': { tokens: 50, price: 8.49 },
-  'pack_100': { tokens: 100, price: 14.44 },
-};
-
-/**
- * Save purchase record to DynamoDB
- */
-async function savePurchase(userId, packId, tokens, price, transactionId) {
-  const purchaseId = `purchase-${Date.now()}-${uuidv4()}`;
-  const purchaseDate = new Date().toISOString();
-  
-  const purchaseItem = {
-    purchaseId: purchaseId,
-    userId: userId,
-    packId: packId,
-    tokens: tokens,
-    price: price,
-    transactionId: transactionId || null,
-    purchaseDate: purchaseDate,
-    status: 'completed',
-    createdAt: purchaseDate,
-  };
-  
-  try {
-    await dynamodb.put({
-      TableName: PURCHASES_TABLE,
-      Item: purchaseItem,
-    }).promise();
-    
-    console.log(`✅ Purchase saved: ${purchaseId} for user ${userId}`);
-    return purchaseItem;
-  } catch (error) {
-    console.error('Error saving purchase:', error);
-    // Don't throw - purchase should still succeed even if logging fails
-    return null;
-  }
-}
-
 /**
  * Get token balance for a user
  */
@@ -101,56 +62,32 @@ async function getTokenBalance(userId) {
  */
 async function decrementToken(userId) {
   try {
-    const result = await dynamodb.update({
-      TableName: TOKENS_TABLE,
-      Key: { userId: userId },
-      UpdateExpression: 'SET #balance = if_not_exists(#balance, :zero) - :dec, #updatedAt = :now',
-      ConditionExpression: '#balance > :zero',
-      ExpressionAttributeNames: {
-        '#balance': 'balance',
-        '#updatedAt': 'updatedAt',
-      },
-      ExpressionAttributeValues: {
-        ':zero': 0,
-        ':dec': 1,
-        ':now': new Date().toISOString(),
-      },
-      ReturnValues: 'ALL_NEW',
-    }).promise();
+    const { balance } = await changeTokenBalance(userId, -1, {
+      reason: 'scan',
+      source: 'subscription',
+    }, { minBalance: 0 });
 
-    return result.Attributes.balance;
+    return balance;
   } catch (error) {
-    if (error.code === 'ConditionalCheckFailedException') {
-      // User has 0 tokens
-      throw new Error('Insufficient tokens');
+    if (error.message !== 'Insufficient tokens') {
+      console.error('Error decrementing token:', error);
     }
-    console.error('Error decrementing token:', error);
     throw error;
   }
 }
 
 /**
- * Add tokens to user balance (used when purchasing a token pack)
+ * Add tokens to user balance (used by the test token grant route)
  */
-async function addTokens(userId, amount) {
+async function addTokens(userId, amount, context = {}) {
   try {
-    const result = await dynamodb.update({
-      TableName: TOKENS_TABLE,
-      Key: { userId: userId },
-      UpdateExpression: 'SET #balance = if_not_exists(#balance, :zero) + :amount, #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#balance': 'balance',
-        '#updatedAt': 'updatedAt',
-      },
-      ExpressionAttributeValues: {
-        ':zero': 0,
-        ':amount': amount,
-        ':now': new Date().toISOString(),
-      },
-      ReturnValues: 'ALL_NEW',
-    }).promise();
+    const { balance } = await changeTokenBalance(userId, amount, {
+      reason: 'test_grant',
+      source: 'subscription',
+      ...context,
+    });
 
-    return result.Attributes.balance;
+    return balance;
   } catch (error) {
     console.error('Error adding tokens:', error);
     throw error;
@@ -181,7 +118,7 @@ const handler = async (event) => {
   const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Device-ID,Device-ID',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Device-ID,Device-ID,X-Impersonate-User,X-Test-Secret',
     'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
   };
 
@@ -194,49 +131,81 @@ const handler = async (event) => {
     };
   }
 
-  try {
-    // Extract user ID from headers or body
-    let userId = null;
-
-    // Try to get from Authorization header (Cognito token)
-    // Check both cases - API Gateway may preserve or lowercase the header
-    const authHeader = event.headers && (event.headers.Authorization || event.headers.authorization);
-    if (authHeader) {
-      try {
-        const token = authHeader.replace('Bearer ', '');
-        // Decode JWT to get user ID (simplified - in production use proper JWT library)
-        const tokenParts = token.split('.');
-        if (tokenParts.length === 3) {
-          const payload = JSON.parse(Buffer.from(tokenParts[1], 'base64').toString());
-          userId = payload.sub || payload['cognito:username'];
-        }
-      } catch (tokenError) {
-        console.warn('Error extracting user ID from token:', tokenError.message);
-      }
-    }
-
-    // Fallback: get from request body or query string
-    if (!userId) {
-      const body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
-      const queryParams = event.queryStringParameters || {};
-      userId = body.userId || queryParams.userId || body.user_id || queryParams.user_id;
-    }
+  // Test-only routes don't exist in stages where their flag is off
+  if ((event.path || '').includes('/test/add-tokens') && !isFeatureEnabled('testTokenGrants')) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Endpoint not found',
+      }),
+    };
+  }
 
-    if (!userId) {
+  try {
+    // Resolve the caller from a verified token (admins may impersonate via X-Impersonate-User)
+    let identity;
+    try {
+      identity = await resolveIdentity(event);
+    } catch (identityError) {
       return {
-        statusCode: 400,
+        statusCode: identityError.statusCode || 401,
         headers,
         body: JSON.stringify({
           success: false,
-          error: 'User ID is required',
+          error: identityError.message,
         }),
       };
     }
 
+    const userId = identity.userId;
+
     // Determine action based on path or method
     const path = event.path || '';
     const method = event.httpMethod || 'GET';
 
+    // GET /subscription/ledger - Token balance history (newest first)
+    if (method === 'GET' && path.includes('/ledger')) {
+      const queryParams = event.queryStringParameters || {};
+      const limit = Math.min(parseInt(queryParams.limit || '50', 10) || 50, 100);
+      const lastEvaluatedKey = queryParams.cursor ? decodeLedgerCursor(queryParams.cursor, userId) : null;
+
+      if (queryParams.cursor && !lastEvaluatedKey) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Invalid cursor. Use nextCursor from a previous response.',
+          }),
+        };
+      }
+
+      const result = await getLedgerEntries(userId, limit, lastEvaluatedKey);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          tokenBalance: await getTokenBalance(userId),
+          // Admin actor IDs and internal metadata stay out of the user view
+          entries: result.entries.map(entry => ({
+            entryId: entry.entryId,
+            createdAt: entry.createdAt,
+            delta: entry.delta,
+            balanceAfter: entry.balanceAfter,
+            reason: entry.reason,
+            scanId: entry.scanId,
+            purchaseId: entry.purchaseId,
+          })),
+          nextCursor: result.nextCursor,
+          count: result.count,
+        }),
+      };
+    }
+
     // GET /subscription/status - Get token balance and device scan info
     if ((method === 'GET' && path.includes('/status')) || method === 'GET') {
       const tokenBalance = await getTokenBalance(userId);
@@ -337,7 +306,8 @@ const handler = async (event) => {
       }
     }
 
-    // POST /subscription/purchase - Add tokens after purchase
+    // POST /subscription/purchase - Add tokens after a purchase verified with RevenueCat
+    // Each store transaction can be credited only once
     if (method === 'POST' && path.includes('/purchase')) {
       const body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
       const { packId, transactionId } = body;
@@ -353,12 +323,40 @@ const handler = async (event) => {
         };
       }
 
+      if (!transactionId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Transaction ID is required',
+          }),
+        };
+      }
+
+      const verification = await validatePurchase(userId, packId, transactionId);
+      if (!verification.valid) {
+        console.warn(`⚠️ Purchase verification failed for user ${userId}: ${verification.status} - ${verification.reason}`);
+        return {
+          statusCode: verification.status === 'error' ? 503 : 402,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: verification.status === 'error'
+              ? 'Unable to verify purchase right now. Please try again.'
+              : 'Purchase could not be verified',
+            verificationStatus: verification.status,
+          }),
+        };
+      }
+
       try {
         const pack = TOKEN_PACKS[packId];
-        const newBalance = await addTokens(userId, pack.tokens);
-
-        // Save purchase record to DynamoDB
-        await savePurchase(userId, packId, pack.tokens, pack.price, transactionId);
+        const { tokenBalance: newBalance } = await creditTokenPack(userId, packId, {
+          transactionId: verification.transactionId,
+          verification: verification,
+          source: 'client',
+        });
 
         return {
           statusCode: 200,
@@ -373,6 +371,39 @@ const handler = async (event) => {
           }),
         };
       } catch (error) {
+        if (error.message === 'Transaction already consumed') {
+          const tokenBalance = await getTokenBalance(userId);
+
+          // The RevenueCat webhook may have credited this user's purchase first
+          const existing = await getPurchaseByTransaction(verification.transactionId);
+          if (existing && existing.userId === userId) {
+            await recordPurchaseConfirmation(verification.transactionId, 'client');
+            return {
+              statusCode: 200,
+              headers,
+              body: JSON.stringify({
+                success: true,
+                message: 'Tokens already added for this purchase',
+                alreadyCredited: true,
+                tokenBalance: tokenBalance,
+                scansRemaining: tokenBalance,
+                packPurchased: packId,
+                tokensAdded: 0,
+              }),
+            };
+          }
+
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({
+              success: false,
+              error: 'This purchase has already been credited',
+              tokenBalance: tokenBalance,
+              scansRemaining: tokenBalance,
+            }),
+          };
+        }
         console.error('Error adding tokens:', error);
         return {
           statusCode: 500,
@@ -387,25 +418,30 @@ const handler = async (event) => {
 
     // POST /subscription/test/add-tokens - TEST ENDPOINT: Manually add tokens for testing
     // This endpoint allows you to add any number of tokens for testing purposes
-    // Usage: POST /subscription/test/add-tokens with body: { userId: "...", tokens: 10 }
+    // Usage: POST /subscription/test/add-tokens with body: { tokens: 10 } and the X-Test-Secret header
+    // Admins can target another user with the X-Impersonate-User header
+    // Gated by the testTokenGrants feature flag: 404 in prod, admin + shared secret in dev
     if (method === 'POST' && path.includes('/test/add-tokens')) {
-      const body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
-      const { tokens: tokensToAdd } = body;
-      
-      // Allow userId to be passed in body for testing (or use extracted userId)
-      const testUserId = body.userId || userId;
+      const access = authorizeFeature('testTokenGrants', {
+        isAdmin: identity.isAdmin !== null ? identity.isAdmin : await isAdminUser(identity.username),
+        providedSecret: getHeader(event, TEST_SECRET_HEADER),
+      });
 
-      if (!testUserId) {
+      if (!access.allowed) {
+        console.warn(`⚠️ Test token grant denied for ${identity.actorId}: ${access.error}`);
         return {
-          statusCode: 400,
+          statusCode: access.statusCode,
           headers,
           body: JSON.stringify({
             success: false,
-            error: 'User ID is required. Provide userId in request body or Authorization header.',
+            error: access.error,
           }),
         };
       }
 
+      const body = typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
+      const { tokens: tokensToAdd } = body;
+
       if (!tokensToAdd || typeof tokensToAdd !== 'number' || tokensToAdd <= 0) {
         return {
           statusCode: 400,
@@ -418,9 +454,17 @@ const handler = async (event) => {
       }
 
       try {
-        const newBalance = await addTokens(testUserId, tokensToAdd);
+        const newBalance = await addTokens(userId, tokensToAdd, { actorId: identity.actorId });
+
+        console.log(`[TEST] Manual token addition: userId=${userId}, tokens=${tokensToAdd}, newBalance=${newBalance}`);
 
-        console.log(`[TEST] Manual token addition: userId=${testUserId}, tokens=${tokensToAdd}, newBalance=${newBalance}`);
+        await writeAuditLog(identity.actorId, 'test_token_grant', {
+          targetUserId: userId,
+          tokens: tokensToAdd,
+          resultingBalance: newBalance,
+          stage: getStage(),
+          requestId: event.requestContext?.requestId || null,
+        });
 
         return {
           statusCode: 200,
@@ -431,7 +475,7 @@ const handler = async (event) => {
             tokenBalance: newBalance,
             scansRemaining: newBalance,
             tokensAdded: tokensToAdd,
-            userId: testUserId,
+            userId: userId,
             note: 'This is a test endpoint for development purposes',
           }),
         };
@@ -0,0 +1,161 @@
+/**
+ * Offline test script for the Cognito JWT verifier
+ *
+ * Usage:
+ *   node test-jwt-verifier-local.js
+ *
+ * Generates a local RSA keypair, writes it to a temporary JWKS file and points
+ * the verifier at it via COGNITO_JWKS_FILE, so no network access or real user
+ * pool is needed. Signs valid and tampered tokens and checks that only the
+ * valid ones are accepted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test configuration (set before the verifier is loaded)
+const TEST_USER_POOL_ID = 'us-east-1_TestPool';
+const TEST_CLIENT_ID = 'test-client-id';
+const TEST_KID = 'test-key-1';
+
+process.env.COGNITO_USER_POOL_ID = TEST_USER_POOL_ID;
+process.env.COGNITO_USER_POOL_CLIENT_ID = TEST_CLIENT_ID;
+
+/**
+ * Generate an RSA keypair and write its public half as a JWKS file
+ */
+function createLocalJwks() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  const jwksPath = path.join(os.tmpdir(), `test-jwks-${Date.now()}.json`);
+  fs.writeFileSync(jwksPath, JSON.stringify({
+    keys: [{ ...jwk, kid: TEST_KID, alg: 'RS256', use: 'sig' }],
+  }));
+
+  return { privateKey, jwksPath };
+}
+
+const { privateKey, jwksPath } = createLocalJwks();
+const { privateKey: attackerKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.COGNITO_JWKS_FILE = jwksPath;
+
+const { verifyCognitoToken, getVerifiedUserId, getIssuer } = require('./cognito-jwt-verifier');
+
+/**
+ * Sign a JWT with the given key
+ */
+function signToken(claims, { key = privateKey, header = {} } = {}) {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const headerSegment = encode({ alg: 'RS256', kid: TEST_KID, ...header });
+  const payloadSegment = encode(claims);
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${headerSegment}.${payloadSegment}`), key);
+  return `${headerSegment}.${payloadSegment}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Build a valid set of claims for a Cognito access token
+ */
+function accessTokenClaims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    sub: 'user-123',
+    iss: getIssuer(),
+    client_id: TEST_CLIENT_ID,
+    token_use: 'access',
+    iat: now,
+    exp: now + 3600,
+    ...overrides,
+  };
+}
+
+/**
+ * Build a valid set of claims for a Cognito ID token
+ */
+function idTokenClaims(overrides = {}) {
+  const { client_id, ...claims } = accessTokenClaims({ token_use: 'id', aud: TEST_CLIENT_ID });
+  return { ...claims, ...overrides };
+}
+
+const TEST_CASES = [
+  { name: 'Valid access token', token: () => signToken(accessTokenClaims()), expectValid: true },
+  { name: 'Valid ID token', token: () => signToken(idTokenClaims()), expectValid: true },
+  { name: 'Signed by a different key', token: () => signToken(accessTokenClaims(), { key: attackerKey }), expectValid: false },
+  {
+    name: 'Payload swapped after signing',
+    token: () => {
+      const [header, , signature] = signToken(accessTokenClaims()).split('.');
+      const forged = Buffer.from(JSON.stringify(accessTokenClaims({ sub: 'victim-456' }))).toString('base64url');
+      return `${header}.${forged}.${signature}`;
+    },
+    expectValid: false,
+  },
+  {
+    name: 'Unsigned token (alg: none)',
+    token: () => {
+      const [, payload] = signToken(accessTokenClaims()).split('.');
+      const header = Buffer.from(JSON.stringify({ alg: 'none', kid: TEST_KID })).toString('base64url');
+      return `${header}.${payload}.`;
+    },
+    expectValid: false,
+  },
+  { name: 'Unknown kid', token: () => signToken(accessTokenClaims(), { header: { kid: 'other-key' } }), expectValid: false },
+  { name: 'Expired token', token: () => signToken(accessTokenClaims({ exp: Math.floor(Date.now() / 1000) - 3600 })), expectValid: false },
+  { name: 'Wrong issuer', token: () => signToken(accessTokenClaims({ iss: 'https://cognito-idp.us-east-1.amazonaws.com/us-east-1_Other' })), expectValid: false },
+  { name: 'Wrong client_id on access token', token: () => signToken(accessTokenClaims({ client_id: 'other-client' })), expectValid: false },
+  { name: 'Wrong aud on ID token', token: () => signToken(idTokenClaims({ aud: 'other-client' })), expectValid: false },
+  { name: 'Invalid token_use', token: () => signToken(accessTokenClaims({ token_use: 'refresh' })), expectValid: false },
+  { name: 'Malformed token', token: () => 'not-a-jwt', expectValid: false },
+];
+
+/**
+ * Run all verifier test cases
+ */
+async function test() {
+  console.log('\n' + '='.repeat(70));
+  console.log('TESTING COGNITO JWT VERIFIER (OFFLINE)');
+  console.log('='.repeat(70));
+  console.log('Issuer:', getIssuer());
+  console.log('JWKS file:', jwksPath);
+  console.log('');
+
+  let failures = 0;
+
+  for (const testCase of TEST_CASES) {
+    let accepted = false;
+    let reason = '';
+    try {
+      await verifyCognitoToken(testCase.token());
+      accepted = true;
+    } catch (error) {
+      reason = error.message;
+    }
+
+    const passed = accepted === testCase.expectValid;
+    if (!passed) {
+      failures++;
+    }
+    console.log(`${passed ? '✅' : '❌'} ${testCase.name}: ${accepted ? 'accepted' : `rejected (${reason})`}`);
+  }
+
+  const userId = await getVerifiedUserId(signToken(accessTokenClaims()));
+  const userIdPassed = userId === 'user-123';
+  if (!userIdPassed) {
+    failures++;
+  }
+  console.log(`${userIdPassed ? '✅' : '❌'} getVerifiedUserId returns sub: ${userId}`);
+
+  fs.unlinkSync(jwksPath);
+
+  console.log('\n' + '='.repeat(70));
+  console.log(failures === 0 ? '✅ ALL TESTS PASSED' : `❌ ${failures} TEST(S) FAILED`);
+  console.log('='.repeat(70) + '\n');
+
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+test();
@@ -0,0 +1,148 @@
+/**
+ * Offline test script for server-side token pack purchase verification
+ *
+ * Usage:
+ *   node test-receipt-validation-local.js
+ *
+ * Starts a local fake of the RevenueCat REST API (GET /v1/subscribers/{id})
+ * and points the receipt validator at it via REVENUECAT_API_URL, so no
+ * network access or real store receipts are needed.
+ */
+
+const http = require('http');
+
+const TEST_API_KEY = 'sk_test_local';
+const BUYER_ID = 'buyer-123';
+const OTHER_USER_ID = 'other-user-456';
+const OUTAGE_USER_ID = 'outage-user';
+
+// Subscriber records served by the fake server, keyed by app_user_id
+const FAKE_SUBSCRIBERS = {
+  [BUYER_ID]: {
+    subscriber: {
+      original_app_user_id: BUYER_ID,
+      non_subscriptions: {
+        pack_15: [
+          {
+            id: 'rc-txn-1',
+            store_transaction_id: '2000000123456789',
+            purchase_date: '2026-01-01T12:00:00Z',
+            store: 'app_store',
+            is_sandbox: true,
+          },
+        ],
+        pack_50: [
+          {
+            id: 'rc-txn-2',
+            store_transaction_id: 'GPA.1234-5678-9012-34567',
+            purchase_date: '2026-01-02T12:00:00Z',
+            store: 'play_store',
+            is_sandbox: false,
+          },
+        ],
+      },
+      subscriptions: {},
+    },
+  },
+  [OTHER_USER_ID]: {
+    subscriber: {
+      original_app_user_id: OTHER_USER_ID,
+      non_subscriptions: {},
+      subscriptions: {},
+    },
+  },
+};
+
+/**
+ * Start the fake RevenueCat API on a random local port
+ */
+function startFakeRevenueCat() {
+  const server = http.createServer((req, res) => {
+    const match = req.url.match(/^\/v1\/subscribers\/([^/?]+)/);
+    const send = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers.authorization !== `Bearer ${TEST_API_KEY}`) {
+      return send(401, { code: 7225, message: 'Invalid API key' });
+    }
+    if (!match) {
+      return send(404, { message: 'Not found' });
+    }
+
+    const appUserId = decodeURIComponent(match[1]);
+    if (appUserId === OUTAGE_USER_ID) {
+      return send(503, { message: 'Service unavailable' });
+    }
+    if (!FAKE_SUBSCRIBERS[appUserId]) {
+      return send(404, { code: 7259, message: 'Subscriber not found' });
+    }
+    return send(200, FAKE_SUBSCRIBERS[appUserId]);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+const TEST_CASES = [
+  { name: 'App Store transaction for the right pack', userId: BUYER_ID, packId: 'pack_15', transactionId: '2000000123456789', expectStatus: 'verified' },
+  { name: 'Play Store transaction for the right pack', userId: BUYER_ID, packId: 'pack_50', transactionId: 'GPA.1234-5678-9012-34567', expectStatus: 'verified' },
+  { name: 'RevenueCat transaction ID', userId: BUYER_ID, packId: 'pack_15', transactionId: 'rc-txn-1', expectStatus: 'verified' },
+  { name: 'Unknown transaction ID', userId: BUYER_ID, packId: 'pack_15', transactionId: 'made-up-txn', expectStatus: 'not_found' },
+  { name: 'Real transaction claimed for a bigger pack', userId: BUYER_ID, packId: 'pack_100', transactionId: '2000000123456789', expectStatus: 'product_mismatch' },
+  { name: "Someone else's transaction", userId: OTHER_USER_ID, packId: 'pack_15', transactionId: '2000000123456789', expectStatus: 'not_found' },
+  { name: 'Unknown subscriber', userId: 'nobody', packId: 'pack_15', transactionId: '2000000123456789', expectStatus: 'not_found' },
+  { name: 'Missing transaction ID', userId: BUYER_ID, packId: 'pack_15', transactionId: null, expectStatus: 'missing_transaction' },
+  { name: 'RevenueCat outage', userId: OUTAGE_USER_ID, packId: 'pack_15', transactionId: '2000000123456789', expectStatus: 'error' },
+];
+
+/**
+ * Run all receipt validation test cases
+ */
+async function test() {
+  const server = await startFakeRevenueCat();
+  process.env.REVENUECAT_API_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.REVENUECAT_API_KEY = TEST_API_KEY;
+
+  const { validatePurchase } = require('./receipt-validator');
+
+  console.log('\n' + '='.repeat(70));
+  console.log('TESTING RECEIPT VALIDATION (FAKE REVENUECAT SERVER)');
+  console.log('='.repeat(70));
+  console.log('RevenueCat API:', process.env.REVENUECAT_API_URL);
+  console.log('');
+
+  let failures = 0;
+
+  for (const testCase of TEST_CASES) {
+    const result = await validatePurchase(testCase.userId, testCase.packId, testCase.transactionId);
+    const passed = result.status === testCase.expectStatus && result.valid === (testCase.expectStatus === 'verified');
+    if (!passed) {
+      failures++;
+    }
+    console.log(`${passed ? '✅' : '❌'} ${testCase.name}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+  }
+
+  // Without an API key the validator must fail closed
+  delete process.env.REVENUECAT_API_KEY;
+  const unconfigured = await validatePurchase(BUYER_ID, 'pack_15', '2000000123456789');
+  const unconfiguredPassed = !unconfigured.valid && unconfigured.status === 'error';
+  if (!unconfiguredPassed) {
+    failures++;
+  }
+  console.log(`${unconfiguredPassed ? '✅' : '❌'} No API key configured: ${unconfigured.status} (${unconfigured.reason})`);
+
+  server.close();
+
+  console.log('\n' + '='.repeat(70));
+  console.log(failures === 0 ? '✅ ALL TESTS PASSED' : `❌ ${failures} TEST(S) FAILED`);
+  console.log('='.repeat(70) + '\n');
+
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+test();
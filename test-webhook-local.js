@@ -11,6 +11,15 @@
  *   node test-webhook-local.js EXPIRATION user123
  *   node test-webhook-local.js BILLING_ISSUE user123
  *   node test-webhook-local.js UNCANCELLATION user123
+ *   node test-webhook-local.js NON_RENEWING_PURCHASE user123
+ *   node test-webhook-local.js PRODUCT_CHANGE user123
+ *   node test-webhook-local.js TRANSFER user123
+ *   node test-webhook-local.js SUBSCRIPTION_PAUSED user123
+ *   node test-webhook-local.js SUBSCRIPTION_EXTENDED user123
+ *   node test-webhook-local.js TEMPORARY_ENTITLEMENT_GRANT user123
+ *   node test-webhook-local.js REFUND user123        (CANCELLATION with cancel_reason CUSTOMER_SUPPORT)
+ *   node test-webhook-local.js TOKEN_PACK_REFUND user123 [transaction-id]   (refund of a pack_15 purchase)
+ *   node test-webhook-local.js TEST user123
  *   node test-webhook-local.js all
  * 
  * Environment variables are loaded from .env file automatically.
@@ -61,7 +70,7 @@ function createMockContext() {
 /**
  * Create a mock RevenueCat webhook event
  */
-function createMockEvent(eventType, userId, includeSignature = true) {
+function createMockEvent(eventType, userId, includeSignature = true, overrides = {}) {
   const now = Date.now();
   const expiresAt = now + (30 * 24 * 60 * 60 * 1000); // 30 days from now
   
@@ -86,7 +95,8 @@ function createMockEvent(eventType, userId, includeSignature = true) {
     price: 9.99,
     price_in_purchased_currency: 9.99,
     store: 'APP_STORE',
-    type: eventType,
+    // REFUND is a fixture name; RevenueCat sends refunds as CANCELLATION
+    type: (eventType === 'REFUND' || eventType === 'TOKEN_PACK_REFUND') ? 'CANCELLATION' : eventType,
     app_id: 'test-app-id',
     subscriber_attributes: {
       '$email': {
@@ -107,6 +117,7 @@ function createMockEvent(eventType, userId, includeSignature = true) {
     };
   } else if (eventType === 'CANCELLATION') {
     // User cancelled but still has access until expiration
+    event.cancel_reason = 'UNSUBSCRIBE';
     event.entitlements = {
       pro: {
         expires_date: new Date(expiresAt).toISOString(),
@@ -114,6 +125,73 @@ function createMockEvent(eventType, userId, includeSignature = true) {
         purchase_date: new Date(now).toISOString(),
       }
     };
+  } else if (eventType === 'REFUND') {
+    // Store refund issued through customer support - access revoked now
+    event.cancel_reason = 'CUSTOMER_SUPPORT';
+    event.entitlements = {};
+    event.entitlement_ids = [];
+  } else if (eventType === 'TOKEN_PACK_REFUND') {
+    // Refund of a consumable; pass the credited purchase's transaction ID to claw it back
+    event.product_id = 'pack_15';
+    event.cancel_reason = 'CUSTOMER_SUPPORT';
+    event.transaction_id = process.argv[4] || event.transaction_id;
+    event.original_transaction_id = event.transaction_id;
+    event.expiration_at_ms = null;
+    event.price = 4.99;
+    event.price_in_purchased_currency = 4.99;
+    event.entitlements = {};
+    event.entitlement_ids = [];
+  } else if (eventType === 'PRODUCT_CHANGE') {
+    // Upgrade from monthly to yearly
+    event.new_product_id = 'catfish_pro_yearly';
+    event.entitlements = {
+      pro: {
+        expires_date: new Date(expiresAt).toISOString(),
+        product_identifier: 'catfish_pro_monthly',
+        purchase_date: new Date(now).toISOString(),
+      }
+    };
+  } else if (eventType === 'TRANSFER') {
+    // Purchases restored on a different account; TRANSFER events carry no app_user_id
+    delete event.app_user_id;
+    delete event.original_app_user_id;
+    delete event.product_id;
+    event.transferred_from = [userId];
+    event.transferred_to = [`${userId}-restored`];
+    event.entitlements = {};
+    event.entitlement_ids = [];
+  } else if (eventType === 'SUBSCRIPTION_PAUSED') {
+    // Play Store pause scheduled; access continues until expiration
+    event.store = 'PLAY_STORE';
+    event.auto_resume_at_ms = expiresAt + (30 * 24 * 60 * 60 * 1000);
+    event.entitlements = {
+      pro: {
+        expires_date: new Date(expiresAt).toISOString(),
+        product_identifier: 'catfish_pro_monthly',
+        purchase_date: new Date(now).toISOString(),
+      }
+    };
+  } else if (eventType === 'SUBSCRIPTION_EXTENDED') {
+    // Expiration pushed back by 7 days
+    event.expiration_at_ms = expiresAt + (7 * 24 * 60 * 60 * 1000);
+    event.entitlements = {
+      pro: {
+        expires_date: new Date(event.expiration_at_ms).toISOString(),
+        product_identifier: 'catfish_pro_monthly',
+        purchase_date: new Date(now).toISOString(),
+      }
+    };
+  } else if (eventType === 'TEMPORARY_ENTITLEMENT_GRANT') {
+    // Short grant while the store cannot validate the purchase
+    event.expiration_at_ms = now + (24 * 60 * 60 * 1000);
+    event.transaction_id = null;
+    event.original_transaction_id = null;
+    event.entitlements = {};
+  } else if (eventType === 'TEST') {
+    // Dashboard test event
+    event.app_user_id = 'test_app_user_id';
+    event.original_app_user_id = 'test_app_user_id';
+    event.entitlements = {};
   } else if (eventType === 'EXPIRATION') {
     // Subscription expired - no active entitlements
     event.entitlements = {};
@@ -127,10 +205,22 @@ function createMockEvent(eventType, userId, includeSignature = true) {
         purchase_date: new Date(now).toISOString(),
       }
     };
+  } else if (eventType === 'NON_RENEWING_PURCHASE') {
+    // Consumable token pack - no entitlement, no expiration
+    event.product_id = 'pack_15';
+    event.period_type = 'NORMAL';
+    event.expiration_at_ms = null;
+    event.price = 4.99;
+    event.price_in_purchased_currency = 4.99;
+    event.entitlements = {};
+    event.entitlement_ids = [];
   } else {
     event.entitlements = {};
   }
 
+  // Let replay tests pin the event id / timestamp
+  event = { ...event, ...overrides };
+
   // Wrap in RevenueCat webhook format (as RevenueCat actually sends it)
   const webhookPayload = {
     event: event,
@@ -150,7 +240,7 @@ function createMockEvent(eventType, userId, includeSignature = true) {
     headers: {
       'Content-Type': 'application/json',
       'X-RevenueCat-Signature': signature,
-      'X-RevenueCat-Event-Name': eventType,
+      'X-RevenueCat-Event-Name': event.type,
     },
     requestContext: {
       requestId: `test-request-${now}`,
@@ -270,6 +360,59 @@ async function testWebhookInvalidSignature(eventType, userId) {
   return { success: result.statusCode === 401, responseBody };
 }
 
+/**
+ * Test that a second delivery of the same event is acknowledged but not re-processed
+ */
+async function testDuplicateDelivery(eventType, userId) {
+  console.log('\n' + '='.repeat(70));
+  console.log('TESTING DUPLICATE WEBHOOK DELIVERY');
+  console.log('='.repeat(70));
+
+  const overrides = { id: `test-event-dup-${Date.now()}` };
+  const first = await handler.handler(createMockEvent(eventType, userId, true, overrides), createMockContext());
+  const second = await handler.handler(createMockEvent(eventType, userId, true, overrides), createMockContext());
+  const secondBody = JSON.parse(second.body);
+
+  console.log('First delivery Status Code:', first.statusCode);
+  console.log('Second delivery Status Code:', second.statusCode);
+  const success = first.statusCode === 200 && second.statusCode === 200 && secondBody.duplicate === true;
+  if (success) {
+    console.log('✅ Duplicate acknowledged without re-processing');
+  } else {
+    console.log('❌ Duplicate was not detected');
+  }
+  console.log('='.repeat(70) + '\n');
+
+  return { success, responseBody: secondBody };
+}
+
+/**
+ * Test that an event outside the accepted time window is rejected as a replay
+ */
+async function testStaleEvent(eventType, userId) {
+  console.log('\n' + '='.repeat(70));
+  console.log('TESTING STALE WEBHOOK EVENT');
+  console.log('='.repeat(70));
+
+  const maxAgeHours = parseFloat(process.env.WEBHOOK_MAX_EVENT_AGE_HOURS) || 72;
+  const staleTimestamp = Date.now() - (maxAgeHours + 1) * 60 * 60 * 1000;
+  const result = await handler.handler(
+    createMockEvent(eventType, userId, true, { event_timestamp_ms: staleTimestamp }),
+    createMockContext()
+  );
+  const responseBody = JSON.parse(result.body);
+
+  console.log('Status Code:', result.statusCode);
+  if (result.statusCode === 400) {
+    console.log('✅ CORRECTLY REJECTED stale event:', responseBody.error);
+  } else {
+    console.log('❌ SHOULD HAVE REJECTED stale event');
+  }
+  console.log('='.repeat(70) + '\n');
+
+  return { success: result.statusCode === 400, responseBody };
+}
+
 /**
  * Run all tests
  */
@@ -284,7 +427,15 @@ async function runAllTests() {
     'CANCELLATION',
     'EXPIRATION',
     'BILLING_ISSUE',
-    'UNCANCELLATION'
+    'UNCANCELLATION',
+    'NON_RENEWING_PURCHASE',
+    'PRODUCT_CHANGE',
+    'SUBSCRIPTION_PAUSED',
+    'SUBSCRIPTION_EXTENDED',
+    'TEMPORARY_ENTITLEMENT_GRANT',
+    'REFUND',
+    'TRANSFER',
+    'TEST'
   ];
   
   const results = [];
@@ -302,6 +453,11 @@ async function runAllTests() {
   console.log('\n📋 Testing signature validation...');
   await testWebhookWithoutSignature('INITIAL_PURCHASE', userId);
   await testWebhookInvalidSignature('INITIAL_PURCHASE', userId);
+
+  // Test replay protection
+  console.log('\n📋 Testing replay protection...');
+  results.push({ eventType: 'DUPLICATE_DELIVERY', ...(await testDuplicateDelivery('RENEWAL', userId)) });
+  results.push({ eventType: 'STALE_EVENT', ...(await testStaleEvent('RENEWAL', userId)) });
   
   // Summary
   console.log('\n' + '='.repeat(70));
@@ -0,0 +1,318 @@
+/**
+ * Token Ledger
+ * Append-only record of every token balance change.
+ * Each change reads the balance, then writes the new balance and a ledger
+ * entry in one DynamoDB transaction conditioned on the balance it read, so the
+ * ledger and the tokens table can never disagree about a change. A concurrent
+ * change makes the condition fail and the change is recomputed.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const TOKENS_TABLE = process.env.TOKENS_TABLE || 'image-analysis-dev-tokens';
+const TOKEN_LEDGER_TABLE = process.env.TOKEN_LEDGER_TABLE || 'image-analysis-dev-token-ledger';
+
+// Attempts before giving up on a balance that keeps changing underneath us
+const MAX_BALANCE_CHANGE_ATTEMPTS = 5;
+
+/**
+ * Read a user's token balance record
+ * @param {string} userId - Cognito user ID
+ * @returns {Promise<Object>} { balance, exists } - exists is false when no balance attribute is stored
+ */
+async function getBalanceRecord(userId) {
+  const result = await dynamodb.get({
+    TableName: TOKENS_TABLE,
+    Key: { userId: userId },
+  }).promise();
+
+  const exists = !!result.Item && result.Item.balance !== undefined;
+  return {
+    balance: exists ? result.Item.balance : 0,
+    exists: exists,
+  };
+}
+
+/**
+ * Build the transaction items for one balance change
+ * @param {string} userId - Cognito user ID
+ * @param {Object} current - { balance, exists } as read by getBalanceRecord
+ * @param {number} delta - Signed token change
+ * @param {Object} context - { reason, source, scanId, purchaseId, actorId, metadata }
+ * @returns {Object} { transactItems, entry, balanceAfter }
+ */
+function buildBalanceChange(userId, current, delta, context = {}) {
+  const now = new Date().toISOString();
+  const balanceAfter = current.balance + delta;
+
+  const entry = {
+    userId: userId,
+    // Sorts chronologically; the UUID keeps same-millisecond entries apart
+    entryId: `${now}#${uuidv4()}`,
+    createdAt: now,
+    delta: delta,
+    balanceBefore: current.balance,
+    balanceAfter: balanceAfter,
+    reason: context.reason || 'unspecified',
+    source: context.source || 'unknown',
+    scanId: context.scanId || null,
+    purchaseId: context.purchaseId || null,
+    actorId: context.actorId || null,
+    metadata: context.metadata || null,
+  };
+
+  const balanceUpdate = {
+    TableName: TOKENS_TABLE,
+    Key: { userId: userId },
+    UpdateExpression: 'SET #balance = :balanceAfter, #updatedAt = :now',
+    ConditionExpression: current.exists ? '#balance = :balanceBefore' : 'attribute_not_exists(#balance)',
+    ExpressionAttributeNames: {
+      '#balance': 'balance',
+      '#updatedAt': 'updatedAt',
+    },
+    ExpressionAttributeValues: {
+      ':balanceAfter': balanceAfter,
+      ':now': now,
+    },
+  };
+  if (current.exists) {
+    balanceUpdate.ExpressionAttributeValues[':balanceBefore'] = current.balance;
+  }
+
+  return {
+    transactItems: [
+      { Update: balanceUpdate },
+      {
+        Put: {
+          TableName: TOKEN_LEDGER_TABLE,
+          Item: entry,
+          ConditionExpression: 'attribute_not_exists(entryId)',
+        },
+      },
+    ],
+    entry: entry,
+    balanceAfter: balanceAfter,
+  };
+}
+
+/**
+ * Get per-item cancellation reasons from a TransactionCanceledException
+ * e.g. "... [ConditionalCheckFailed, None]" -> ['ConditionalCheckFailed', 'None']
+ */
+function getCancellationReasons(error) {
+  if (Array.isArray(error.CancellationReasons)) {
+    return error.CancellationReasons.map(reason => reason.Code || 'None');
+  }
+  const match = /\[([^\]]*)\]/.exec(error.message || '');
+  return match ? match[1].split(',').map(reason => reason.trim()) : [];
+}
+
+/**
+ * Check if a cancelled transaction failed only because a balance moved
+ * @param {Error} error - Error thrown by transactWrite
+ * @param {number[]} balanceItemIndexes - Positions of the balance updates in TransactItems
+ */
+function isBalanceConflict(error, balanceItemIndexes = [0]) {
+  if (error.code !== 'TransactionCanceledException') {
+    return false;
+  }
+
+  const reasons = getCancellationReasons(error);
+  const failed = reasons
+    .map((reason, index) => (reason === 'ConditionalCheckFailed' ? index : null))
+    .filter(index => index !== null);
+
+  return failed.length > 0 && failed.every(index => balanceItemIndexes.includes(index));
+}
+
+/**
+ * Change a user's token balance and record it in the ledger
+ * Throws 'Insufficient tokens' when a debit would take the balance below minBalance.
+ * @param {string} userId - Cognito user ID
+ * @param {number|Function} change - Signed delta, or (balanceBefore) => delta
+ * @param {Object} context - Ledger context: { reason, source, scanId, purchaseId, actorId, metadata }
+ * @param {Object} options - { minBalance, extraTransactItems }; extraTransactItems may be a
+ *                           function ({ balanceBefore, balanceAfter, delta, entry }) => items
+ *                           for writes that must commit together with the change
+ * @returns {Promise<Object>} { balance, delta, entry }
+ */
+async function changeTokenBalance(userId, change, context = {}, options = {}) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  const minBalance = options.minBalance !== undefined ? options.minBalance : null;
+
+  for (let attempt = 1; attempt <= MAX_BALANCE_CHANGE_ATTEMPTS; attempt++) {
+    const current = await getBalanceRecord(userId);
+    const delta = typeof change === 'function' ? change(current.balance) : change;
+
+    if (minBalance !== null && delta < 0 && current.balance + delta < minBalance) {
+      throw new Error('Insufficient tokens');
+    }
+
+    const { transactItems, entry, balanceAfter } = buildBalanceChange(userId, current, delta, context);
+    const extraItems = typeof options.extraTransactItems === 'function'
+      ? options.extraTransactItems({ balanceBefore: current.balance, balanceAfter, delta, entry })
+      : (options.extraTransactItems || []);
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [...transactItems, ...extraItems],
+      }).promise();
+
+      return { balance: balanceAfter, delta: delta, entry: entry };
+    } catch (error) {
+      if (isBalanceConflict(error) && attempt < MAX_BALANCE_CHANGE_ATTEMPTS) {
+        console.warn(`Token balance of ${userId} changed concurrently, retrying (${attempt})`);
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  throw new Error('Token balance kept changing, giving up');
+}
+
+/**
+ * Opaque cursor for the position after a ledger page
+ * Only the entry is encoded; the user always comes from the request.
+ * @param {Object|null} lastEvaluatedKey - LastEvaluatedKey of the page
+ * @returns {string|null} null on the last page
+ */
+function encodeLedgerCursor(lastEvaluatedKey) {
+  if (!lastEvaluatedKey) {
+    return null;
+  }
+  return Buffer.from(JSON.stringify({ e: lastEvaluatedKey.entryId })).toString('base64url');
+}
+
+/**
+ * Ledger key a cursor continues from, for this user
+ * @param {string} cursor - nextCursor from getLedgerEntries
+ * @param {string} userId - Cognito user ID
+ * @returns {Object|null} The ExclusiveStartKey, or null if it is not a cursor from encodeLedgerCursor
+ */
+function decodeLedgerCursor(cursor, userId) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof position.e !== 'string' || !position.e) {
+      return null;
+    }
+    return { userId: userId, entryId: position.e };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get ledger entries for a user, newest first
+ * @param {string} userId - Cognito user ID
+ * @param {number} limit - Page size
+ * @param {Object} lastEvaluatedKey - Key to continue after (decodeLedgerCursor)
+ * @returns {Promise<Object>} { entries, nextCursor, count }
+ */
+async function getLedgerEntries(userId, limit = 50, lastEvaluatedKey = null) {
+  const params = {
+    TableName: TOKEN_LEDGER_TABLE,
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+    },
+    ScanIndexForward: false,
+    Limit: limit,
+  };
+
+  if (lastEvaluatedKey) {
+    params.ExclusiveStartKey = lastEvaluatedKey;
+  }
+
+  const result = await dynamodb.query(params).promise();
+  return {
+    entries: result.Items || [],
+    nextCursor: encodeLedgerCursor(result.LastEvaluatedKey),
+    count: result.Count || 0,
+  };
+}
+
+/**
+ * Recompute a user's balance from the ledger and compare it with the tokens table
+ * The first entry's balanceBefore is the opening balance, which covers tokens
+ * granted before the ledger existed.
+ * @param {string} userId - Cognito user ID
+ * @returns {Promise<Object>} { userId, balance, ledgerBalance, drift, entryCount, chainBreaks }
+ */
+async function reconcileUserBalance(userId) {
+  const entries = [];
+  let lastEvaluatedKey = null;
+
+  do {
+    const params = {
+      TableName: TOKEN_LEDGER_TABLE,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId,
+      },
+      ScanIndexForward: true,
+    };
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+    const result = await dynamodb.query(params).promise();
+    entries.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey || null;
+  } while (lastEvaluatedKey);
+
+  const { balance } = await getBalanceRecord(userId);
+
+  let ledgerBalance = entries.length > 0 ? entries[0].balanceBefore : 0;
+  const chainBreaks = [];
+  entries.forEach((entry, index) => {
+    if (index > 0 && entry.balanceBefore !== entries[index - 1].balanceAfter) {
+      chainBreaks.push({
+        entryId: entry.entryId,
+        expectedBalanceBefore: entries[index - 1].balanceAfter,
+        balanceBefore: entry.balanceBefore,
+      });
+    }
+    ledgerBalance += entry.delta;
+  });
+
+  return {
+    userId: userId,
+    balance: balance,
+    ledgerBalance: ledgerBalance,
+    drift: balance - ledgerBalance,
+    entryCount: entries.length,
+    chainBreaks: chainBreaks,
+  };
+}
+
+module.exports = {
+  getBalanceRecord,
+  buildBalanceChange,
+  isBalanceConflict,
+  changeTokenBalance,
+  encodeLedgerCursor,
+  decodeLedgerCursor,
+  getLedgerEntries,
+  reconcileUserBalance,
+};
@@ -0,0 +1,318 @@
+/**
+ * Token Purchases
+ * Shared token pack catalogue and crediting logic.
+ * A pack is credited at most once per store transaction: the purchase record is
+ * keyed on the transaction ID and written in the same DynamoDB transaction as
+ * the balance update, so a replayed transaction credits nothing.
+ * Both the client (/subscription/purchase) and the RevenueCat webhook credit
+ * through here; whichever arrives second only records its confirmation.
+ * Refunds claw the pack's tokens back, never below REFUND_BALANCE_FLOOR.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const { getBalanceRecord, buildBalanceChange, changeTokenBalance, isBalanceConflict } = require('./token-ledger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const TOKENS_TABLE = process.env.TOKENS_TABLE || 'image-analysis-dev-tokens';
+const PURCHASES_TABLE = process.env.PURCHASES_TABLE || 'image-analysis-dev-purchases';
+// Lowest balance a refund clawback may leave (tokens already spent are not recovered below this)
+const REFUND_BALANCE_FLOOR = parseInt(process.env.REFUND_BALANCE_FLOOR || '0', 10);
+// Accounts with this many refunded purchases are flagged for review
+const REFUND_ABUSE_THRESHOLD = parseInt(process.env.REFUND_ABUSE_THRESHOLD || '2', 10);
+
+// Token pack configurations (must match App Store / RevenueCat product IDs)
+const TOKEN_PACKS = {
+  'pack_5': { tokens: 5, price: 4.99 },
+  'pack_15': { tokens: 15, price: 4.99 },
+  'pack_20': { tokens: 20, price: 14.99 },
+  'pack_50': { tokens: 50, price: 8.49 },
+  'pack_100': { tokens: 100, price: 14.44 },
+};
+
+/**
+ * Get the purchase record key for a store transaction
+ * Deterministic so the same transaction can only ever produce one record.
+ * @param {string} transactionId - Store transaction ID
+ * @returns {string} purchaseId
+ */
+function getPurchaseIdForTransaction(transactionId) {
+  return `txn-${transactionId}`;
+}
+
+/**
+ * Get an existing purchase record for a store transaction
+ * @param {string} transactionId - Store transaction ID
+ * @returns {Promise<Object|null>} Purchase record
+ */
+async function getPurchaseByTransaction(transactionId) {
+  const result = await dynamodb.get({
+    TableName: PURCHASES_TABLE,
+    Key: { purchaseId: getPurchaseIdForTransaction(transactionId) },
+  }).promise();
+
+  return result.Item || null;
+}
+
+/**
+ * Credit a token pack for a verified store transaction
+ * Throws 'Transaction already consumed' if the transaction was credited before.
+ * @param {string} userId - Cognito user ID
+ * @param {string} packId - Token pack ID (key of TOKEN_PACKS)
+ * @param {Object} options - { transactionId, verification, source }
+ * @returns {Promise<Object>} { purchase, tokenBalance }
+ */
+async function creditTokenPack(userId, packId, { transactionId, verification = null, source = 'client' }) {
+  const pack = TOKEN_PACKS[packId];
+  if (!pack) {
+    throw new Error('Invalid pack ID');
+  }
+  if (!transactionId) {
+    throw new Error('Transaction ID is required');
+  }
+
+  const now = new Date().toISOString();
+  const purchaseItem = {
+    purchaseId: getPurchaseIdForTransaction(transactionId),
+    userId: userId,
+    packId: packId,
+    tokens: pack.tokens,
+    price: pack.price,
+    transactionId: transactionId,
+    purchaseDate: now,
+    status: 'completed',
+    source: source,
+    verification: verification,
+    confirmations: {
+      [source]: { confirmedAt: now },
+    },
+    createdAt: now,
+  };
+
+  let credit;
+  try {
+    credit = await changeTokenBalance(userId, pack.tokens, {
+      reason: 'token_pack_purchase',
+      source: `purchase_${source}`,
+      purchaseId: purchaseItem.purchaseId,
+      metadata: { packId: packId, transactionId: transactionId },
+    }, {
+      extraTransactItems: [
+        {
+          Put: {
+            TableName: PURCHASES_TABLE,
+            Item: purchaseItem,
+            ConditionExpression: 'attribute_not_exists(purchaseId)',
+          },
+        },
+      ],
+    });
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException' && !isBalanceConflict(error) && /ConditionalCheckFailed/.test(error.message)) {
+      console.warn(`⚠️ Transaction ${transactionId} already consumed, not crediting again`);
+      throw new Error('Transaction already consumed');
+    }
+    console.error('Error crediting token pack:', error);
+    throw error;
+  }
+
+  console.log(`✅ Credited ${pack.tokens} tokens (${packId}) to user ${userId} for transaction ${transactionId}`);
+
+  return {
+    purchase: purchaseItem,
+    tokenBalance: credit.balance,
+  };
+}
+
+/**
+ * Record that a second source confirmed an already-credited purchase
+ * Does not touch the token balance.
+ * @param {string} transactionId - Store transaction ID
+ * @param {string} source - Confirming source ('client' or 'webhook')
+ * @param {Object} details - Extra confirmation details (e.g. RevenueCat event ID)
+ * @returns {Promise<Object|null>} Updated purchase record, or null if none exists
+ */
+async function recordPurchaseConfirmation(transactionId, source, details = {}) {
+  try {
+    const result = await dynamodb.update({
+      TableName: PURCHASES_TABLE,
+      Key: { purchaseId: getPurchaseIdForTransaction(transactionId) },
+      UpdateExpression: 'SET #confirmations.#source = :confirmation',
+      ConditionExpression: 'attribute_exists(purchaseId)',
+      ExpressionAttributeNames: {
+        '#confirmations': 'confirmations',
+        '#source': source,
+      },
+      ExpressionAttributeValues: {
+        ':confirmation': {
+          ...details,
+          confirmedAt: new Date().toISOString(),
+        },
+      },
+      ReturnValues: 'ALL_NEW',
+    }).promise();
+
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count a refund against the account and flag it once the abuse threshold is reached
+ * @returns {Promise<boolean>} True if the account is flagged
+ */
+async function recordRefund(userId) {
+  const result = await dynamodb.update({
+    TableName: TOKENS_TABLE,
+    Key: { userId: userId },
+    UpdateExpression: 'ADD refundCount :one',
+    ExpressionAttributeValues: {
+      ':one': 1,
+    },
+    ReturnValues: 'ALL_NEW',
+  }).promise();
+
+  const refundCount = result.Attributes.refundCount || 0;
+  if (refundCount < REFUND_ABUSE_THRESHOLD) {
+    return !!result.Attributes.refundFlagged;
+  }
+
+  await dynamodb.update({
+    TableName: TOKENS_TABLE,
+    Key: { userId: userId },
+    UpdateExpression: 'SET refundFlagged = :flagged, refundFlaggedAt = if_not_exists(refundFlaggedAt, :now)',
+    ExpressionAttributeValues: {
+      ':flagged': true,
+      ':now': new Date().toISOString(),
+    },
+  }).promise();
+
+  console.warn(`⚠️ User ${userId} flagged for refund abuse (${refundCount} refunded purchases)`);
+  return true;
+}
+
+/**
+ * Refund a token pack purchase and claw back its tokens
+ * Marks the purchase refunded and debits up to the pack's tokens (with its
+ * ledger entry) in one DynamoDB transaction. Tokens the user already spent are not recovered below
+ * REFUND_BALANCE_FLOOR; the shortfall is recorded on the purchase.
+ * @param {string} purchaseId - Purchase record ID
+ * @param {Object} options - { source, reason, actorId, revenueCatEventId }
+ * @returns {Promise<Object>} { purchase, alreadyRefunded, tokensDebited, tokensUnrecovered, tokenBalance, refundFlagged }
+ */
+async function refundPurchase(purchaseId, { source, reason = null, actorId = null, revenueCatEventId = null }, attempt = 1) {
+  const purchaseResult = await dynamodb.get({
+    TableName: PURCHASES_TABLE,
+    Key: { purchaseId: purchaseId },
+  }).promise();
+
+  const purchase = purchaseResult.Item;
+  if (!purchase) {
+    throw new Error('Purchase not found');
+  }
+
+  if (purchase.status === 'refunded') {
+    return { purchase, alreadyRefunded: true, tokensDebited: 0, tokensUnrecovered: 0, tokenBalance: null, refundFlagged: null };
+  }
+
+  const userId = purchase.userId;
+  const current = await getBalanceRecord(userId);
+  const balance = current.balance;
+  const tokens = purchase.tokens || 0;
+  const tokensDebited = Math.max(0, Math.min(tokens, balance - REFUND_BALANCE_FLOOR));
+  const now = new Date().toISOString();
+
+  const change = buildBalanceChange(userId, current, -tokensDebited, {
+    reason: 'token_pack_refund',
+    source: `refund_${source}`,
+    purchaseId: purchaseId,
+    actorId: actorId,
+    metadata: { refundReason: reason, revenueCatEventId: revenueCatEventId, tokensUnrecovered: tokens - tokensDebited },
+  });
+
+  const refund = {
+    source: source,
+    reason: reason,
+    actorId: actorId,
+    revenueCatEventId: revenueCatEventId,
+    tokensDebited: tokensDebited,
+    tokensUnrecovered: tokens - tokensDebited,
+    balanceBefore: balance,
+    balanceAfter: change.balanceAfter,
+    ledgerEntryId: change.entry.entryId,
+  };
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Update: {
+            TableName: PURCHASES_TABLE,
+            Key: { purchaseId: purchaseId },
+            UpdateExpression: 'SET #status = :refunded, refundedAt = :now, refund = :refund',
+            ConditionExpression: 'attribute_exists(purchaseId) AND #status <> :refunded',
+            ExpressionAttributeNames: {
+              '#status': 'status',
+            },
+            ExpressionAttributeValues: {
+              ':refunded': 'refunded',
+              ':now': now,
+              ':refund': refund,
+            },
+          },
+        },
+        // Balance update (conditioned on the balance read above) and ledger entry
+        ...change.transactItems,
+      ],
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException' && attempt < 3) {
+      // Either the balance moved or another refund won; re-read and decide again
+      return refundPurchase(purchaseId, { source, reason, actorId, revenueCatEventId }, attempt + 1);
+    }
+    console.error('Error refunding purchase:', error);
+    throw error;
+  }
+
+  console.log(`↩️ Refunded purchase ${purchaseId} for user ${userId}: debited ${tokensDebited}/${tokens} tokens (${source})`);
+
+  const refundFlagged = await recordRefund(userId);
+
+  return {
+    purchase: { ...purchase, status: 'refunded', refundedAt: now, refund: refund },
+    alreadyRefunded: false,
+    tokensDebited: tokensDebited,
+    tokensUnrecovered: refund.tokensUnrecovered,
+    tokenBalance: change.balanceAfter,
+    refundFlagged: refundFlagged,
+  };
+}
+
+module.exports = {
+  TOKEN_PACKS,
+  getPurchaseIdForTransaction,
+  getPurchaseByTransaction,
+  creditTokenPack,
+  recordPurchaseConfirmation,
+  refundPurchase,
+};
@@ -0,0 +1,272 @@
+/**
+ * Token Reservations
+ * Reserve-then-commit charging for scans.
+ * A scan first reserves its token: the balance is debited (with a ledger entry)
+ * and a 'held' reservation is written in the same transaction, so concurrent
+ * requests cannot spend the same token. A successful scan commits the
+ * reservation; a failed scan releases it, crediting the token back. Holds that
+ * are never settled (e.g. the Lambda timed out) are released by the sweeper job
+ * once they pass holdUntil.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { changeTokenBalance, isBalanceConflict } = require('./token-ledger');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const TOKEN_RESERVATIONS_TABLE = process.env.TOKEN_RESERVATIONS_TABLE || 'image-analysis-dev-token-reservations';
+// Must outlast the longest scan (Lambda timeout) so the sweeper never releases a live scan
+const TOKEN_RESERVATION_HOLD_MS = parseInt(process.env.TOKEN_RESERVATION_HOLD_SECONDS || '120', 10) * 1000;
+// Settled reservations are kept this long for support lookups, then expire via TTL
+const RESERVATION_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+// Release this long before the Lambda is killed, leaving time for the write
+const TIMEOUT_RELEASE_MARGIN_MS = 2000;
+
+/**
+ * Reserve tokens for a scan
+ * Throws 'Insufficient tokens' when the balance cannot cover the reservation.
+ * @param {string} userId - Cognito user ID
+ * @param {Object} options - { tokens, source, requestId, holdMs }
+ * @returns {Promise<Object>} Reservation { reservationId, userId, tokens, status, balance, holdUntil }
+ */
+async function reserveTokens(userId, { tokens = 1, source = 'unknown', requestId = null, holdMs = TOKEN_RESERVATION_HOLD_MS } = {}) {
+  const reservationId = uuidv4();
+  const now = Date.now();
+  const holdUntil = now + holdMs;
+
+  const { balance } = await changeTokenBalance(userId, -tokens, {
+    reason: 'scan',
+    source: source,
+    metadata: { reservationId: reservationId, requestId: requestId },
+  }, {
+    minBalance: 0,
+    extraTransactItems: [
+      {
+        Put: {
+          TableName: TOKEN_RESERVATIONS_TABLE,
+          Item: {
+            reservationId: reservationId,
+            userId: userId,
+            tokens: tokens,
+            status: 'held',
+            source: source,
+            requestId: requestId,
+            createdAt: new Date(now).toISOString(),
+            holdUntil: holdUntil,
+            expiresAt: Math.floor(holdUntil / 1000) + RESERVATION_RETENTION_SECONDS,
+          },
+          ConditionExpression: 'attribute_not_exists(reservationId)',
+        },
+      },
+    ],
+  });
+
+  console.log(`🔒 Reserved ${tokens} token(s) for user ${userId} (reservation ${reservationId}), balance now ${balance}`);
+
+  return {
+    reservationId: reservationId,
+    userId: userId,
+    tokens: tokens,
+    status: 'held',
+    balance: balance,
+    holdUntil: holdUntil,
+  };
+}
+
+/**
+ * Stop the in-process timeout release for a reservation, if one is set
+ * Also used when a reservation is handed to another Lambda (async scan jobs).
+ */
+function clearTimeoutGuard(reservation) {
+  if (reservation && reservation.timeoutGuard) {
+    clearTimeout(reservation.timeoutGuard);
+    reservation.timeoutGuard = null;
+  }
+}
+
+/**
+ * Commit a held reservation after a successful scan
+ * The tokens were already debited at reservation time; this only settles the hold.
+ * @param {Object} reservation - Reservation returned by reserveTokens
+ * @param {Object} details - Scan details to keep with the reservation (scanId, s3Url)
+ * @returns {Promise<boolean>} False if the reservation was no longer held
+ */
+async function commitReservation(reservation, details = {}) {
+  clearTimeoutGuard(reservation);
+
+  try {
+    await dynamodb.update({
+      TableName: TOKEN_RESERVATIONS_TABLE,
+      Key: { reservationId: reservation.reservationId },
+      UpdateExpression: 'SET #status = :committed, committedAt = :now, scanId = :scanId, s3Url = :s3Url',
+      ConditionExpression: '#status = :held',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':committed': 'committed',
+        ':held': 'held',
+        ':now': new Date().toISOString(),
+        ':scanId': details.scanId || null,
+        ':s3Url': details.s3Url || null,
+      },
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      // Released by the timeout guard or the sweeper; the token is already back
+      console.warn(`⚠️ Reservation ${reservation.reservationId} was no longer held at commit`);
+      reservation.status = 'released';
+      return false;
+    }
+    throw error;
+  }
+
+  reservation.status = 'committed';
+  console.log(`✅ Committed reservation ${reservation.reservationId} for user ${reservation.userId}`);
+  return true;
+}
+
+/**
+ * Release a held reservation, crediting its tokens back
+ * Safe to call more than once; only the first release (or none, if the
+ * reservation was committed) changes the balance.
+ * @param {Object} reservation - Reservation returned by reserveTokens (or a stored record)
+ * @param {string} reason - Why the hold was released (e.g. 'scan_failed', 'timeout')
+ * @returns {Promise<boolean>} True if this call released the tokens
+ */
+async function releaseReservation(reservation, reason) {
+  clearTimeoutGuard(reservation);
+
+  if (!reservation || reservation.status !== 'held') {
+    return false;
+  }
+
+  try {
+    const { balance } = await changeTokenBalance(reservation.userId, reservation.tokens, {
+      reason: 'scan_reservation_released',
+      source: 'token-reservations',
+      metadata: { reservationId: reservation.reservationId, releaseReason: reason },
+    }, {
+      extraTransactItems: [
+        {
+          Update: {
+            TableName: TOKEN_RESERVATIONS_TABLE,
+            Key: { reservationId: reservation.reservationId },
+            UpdateExpression: 'SET #status = :released, releasedAt = :now, releaseReason = :reason',
+            ConditionExpression: '#status = :held',
+            ExpressionAttributeNames: {
+              '#status': 'status',
+            },
+            ExpressionAttributeValues: {
+              ':released': 'released',
+              ':held': 'held',
+              ':now': new Date().toISOString(),
+              ':reason': reason,
+            },
+          },
+        },
+      ],
+    });
+
+    reservation.status = 'released';
+    reservation.balance = balance;
+    console.log(`🔓 Released reservation ${reservation.reservationId} (${reason}), user ${reservation.userId} balance now ${balance}`);
+    return true;
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException' && !isBalanceConflict(error)) {
+      // Someone else settled it first
+      console.log(`Reservation ${reservation.reservationId} already settled, nothing to release`);
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a reservation shortly before the Lambda times out
+ * Call commitReservation or releaseReservation to cancel the guard.
+ * @param {Object} reservation - Reservation returned by reserveTokens
+ * @param {Object} context - Lambda context (ignored if it has no getRemainingTimeInMillis)
+ */
+function guardReservation(reservation, context) {
+  if (!reservation || !context || typeof context.getRemainingTimeInMillis !== 'function') {
+    return;
+  }
+
+  const delay = Math.max(0, context.getRemainingTimeInMillis() - TIMEOUT_RELEASE_MARGIN_MS);
+  reservation.timeoutGuard = setTimeout(() => {
+    reservation.timeoutGuard = null;
+    releaseReservation(reservation, 'timeout').catch(err =>
+      console.error(`Failed to release reservation ${reservation.reservationId} on timeout:`, err)
+    );
+  }, delay);
+}
+
+/**
+ * Release every hold that is past its holdUntil
+ * Used by the scheduled sweeper for scans whose Lambda died before settling.
+ * @returns {Promise<Object>} { expired, released }
+ */
+async function releaseExpiredReservations() {
+  let expired = 0;
+  let released = 0;
+  let lastEvaluatedKey = null;
+
+  do {
+    const params = {
+      TableName: TOKEN_RESERVATIONS_TABLE,
+      IndexName: 'status-holdUntil-index',
+      KeyConditionExpression: '#status = :held AND holdUntil < :now',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':held': 'held',
+        ':now': Date.now(),
+      },
+    };
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+
+    const result = await dynamodb.query(params).promise();
+    for (const item of result.Items || []) {
+      expired++;
+      try {
+        if (await releaseReservation({ ...item }, 'expired')) {
+          released++;
+        }
+      } catch (error) {
+        console.error(`Failed to release expired reservation ${item.reservationId}:`, error.message);
+      }
+    }
+    lastEvaluatedKey = result.LastEvaluatedKey || null;
+  } while (lastEvaluatedKey);
+
+  return { expired, released };
+}
+
+module.exports = {
+  reserveTokens,
+  commitReservation,
+  releaseReservation,
+  guardReservation,
+  clearTimeoutGuard,
+  releaseExpiredReservations,
+};
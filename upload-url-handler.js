@@ -0,0 +1,89 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { initializeConfig, getCorsHeaders, extractUserId } = require('./analyze-pipeline');
+const { createUploadUrl } = require('./image-uploads');
+
+/**
+ * POST /analyze/upload-url
+ * Returns a presigned PUT URL for an image and the `uploadKey` to send to /analyze
+ * instead of a base64 `image`. Body: { "contentType": "image/jpeg" }
+ */
+exports.handler = async (event) => {
+  const headers = getCorsHeaders();
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: '',
+    };
+  }
+
+  if (event.httpMethod && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed. Only POST requests are supported.' }),
+    };
+  }
+
+  let body;
+  try {
+    body = (typeof event.body === 'string' ? JSON.parse(event.body) : event.body) || {};
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Invalid JSON in request body' }),
+    };
+  }
+
+  try {
+    const userId = await extractUserId(event);
+    if (!userId) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Authentication required. Please sign in or continue as guest to scan.' }),
+      };
+    }
+
+    const { s3Bucket } = await initializeConfig();
+    if (!s3Bucket) {
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ success: false, error: 'S3 bucket name not found. Set it in SSM Parameter Store or as S3_BUCKET_NAME environment variable' }),
+      };
+    }
+
+    const upload = await createUploadUrl(userId, body.contentType, s3Bucket);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        method: 'PUT',
+        ...upload,
+      }),
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return {
+        statusCode: error.statusCode,
+        headers,
+        body: JSON.stringify({ success: false, error: error.message }),
+      };
+    }
+
+    console.error('Error creating upload URL:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message || 'Internal server error' }),
+    };
+  }
+};
@@ -0,0 +1,170 @@
+/**
+ * URL Scans
+ * Per-user deduplication of URL scans. A link a user already scanned with the same provider
+ * within URL_SCAN_DEDUPE_WINDOW_MINUTES, or a different link to the same image, is answered
+ * with the earlier result instead of being downloaded, detected and charged again.
+ *
+ * A scan is keyed twice, so either match finds it:
+ * - url#<provider>#<sha256 of the canonical URL>  - same link, give or take tracking parameters
+ * - content#<provider>#<sha256 of the image>      - same downloaded bytes behind another link
+ * The provider is the one the caller requested, so asking another provider scans again.
+ *
+ * Table layout (userId HASH, scanKey RANGE), items expire via TTL at the end of the window.
+ */
+
+require('dotenv').config();
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+// Configure AWS SDK
+const awsConfig = {
+  region: process.env.AWS_REGION || 'us-east-1',
+};
+
+const isLambda = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+if (!isLambda && process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+  awsConfig.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  awsConfig.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+}
+
+AWS.config.update(awsConfig);
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const URL_SCANS_TABLE = process.env.URL_SCANS_TABLE || 'image-analysis-dev-url-scans';
+const URL_SCAN_DEDUPE_WINDOW_SECONDS = parseFloat(process.env.URL_SCAN_DEDUPE_WINDOW_MINUTES || '60') * 60;
+
+// Query parameters that only track the click, never change the image
+const TRACKING_PARAMETERS = /^(utm_[a-z]+|fbclid|gclid|dclid|msclkid|igshid|mc_cid|mc_eid|ref_src|_ga)$/i;
+
+// Fields of a scan response that belong to the request, not the result
+const REQUEST_FIELDS = ['tokenBalance', 'scansRemaining', 'requestId', 'tokenCharged'];
+
+/**
+ * Canonical form of an image URL, so trivially different links dedupe together
+ * Lowercases the scheme and host, drops the default port, fragment and tracking parameters,
+ * and sorts the remaining query parameters. The path is kept as is (it is case-sensitive).
+ * @param {string} imageUrl - URL from the request
+ * @returns {string|null} Canonical URL, or null if it does not parse
+ */
+function canonicalizeImageUrl(imageUrl) {
+  let url;
+  try {
+    url = new URL(String(imageUrl).trim());
+  } catch (error) {
+    return null;
+  }
+
+  url.hash = '';
+  const parameters = [...url.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMETERS.test(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  url.search = new URLSearchParams(parameters).toString();
+
+  // URL already lowercases the scheme and host and drops default ports
+  return url.href;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Dedupe keys for a URL scan
+ * @param {Object} source - { provider, url, contentHash }; url or contentHash may be missing
+ * @returns {string[]} scanKey values
+ */
+function getUrlScanKeys({ provider, url, contentHash }) {
+  const keys = [];
+  const canonicalUrl = url ? canonicalizeImageUrl(url) : null;
+  if (canonicalUrl) {
+    keys.push(`url#${provider}#${hash(canonicalUrl)}`);
+  }
+  if (contentHash) {
+    keys.push(`content#${provider}#${contentHash}`);
+  }
+  return keys;
+}
+
+/**
+ * Find this user's earlier scan of the same link or image with the same provider within the window
+ * Lookup errors never fail a scan; they are logged and treated as no match.
+ * @param {string} userId - Cognito user ID
+ * @param {Object} source - { provider, url, contentHash }
+ * @returns {Promise<Object|null>} { body, match: 'url'|'content', scannedAt }
+ */
+async function findRecentUrlScan(userId, source) {
+  const now = Math.floor(Date.now() / 1000);
+  try {
+    for (const scanKey of getUrlScanKeys(source)) {
+      const result = await dynamodb.get({
+        TableName: URL_SCANS_TABLE,
+        Key: { userId: userId, scanKey: scanKey },
+      }).promise();
+
+      // TTL deletion lags, so expired items can still be read
+      if (result.Item && result.Item.expiresAt > now) {
+        const match = scanKey.split('#')[0];
+        console.log(`Duplicate URL scan for user ${userId} (${match} match, scanned at ${result.Item.createdAt})`);
+        return {
+          body: JSON.parse(result.Item.result),
+          match: match,
+          scannedAt: result.Item.createdAt,
+        };
+      }
+    }
+  } catch (error) {
+    console.warn(`URL scan dedupe lookup failed, scanning again: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Remember a successful URL scan for the dedupe window
+ * @param {string} userId - Cognito user ID
+ * @param {Object} source - { provider, url, contentHash }
+ * @param {Object} body - The scan response body
+ */
+async function recordUrlScan(userId, source, body) {
+  const createdAt = new Date().toISOString();
+  const expiresAt = Math.floor(Date.now() / 1000 + URL_SCAN_DEDUPE_WINDOW_SECONDS);
+  const result = { ...body };
+  REQUEST_FIELDS.forEach(field => delete result[field]);
+  result.requestId = body.requestId;
+
+  const putRequests = getUrlScanKeys(source).map(scanKey => ({
+    PutRequest: {
+      Item: {
+        userId: userId,
+        scanKey: scanKey,
+        provider: source.provider,
+        sourceUrl: source.url,
+        contentHash: source.contentHash || null,
+        // Stored as JSON: vendor raw responses can hold values DynamoDB maps reject
+        result: JSON.stringify(result),
+        createdAt: createdAt,
+        expiresAt: expiresAt,
+      },
+    },
+  }));
+  if (putRequests.length === 0) {
+    return;
+  }
+
+  try {
+    // Unprocessed items only cost a later duplicate charge, so they are not retried
+    await dynamodb.batchWrite({
+      RequestItems: { [URL_SCANS_TABLE]: putRequests },
+    }).promise();
+  } catch (error) {
+    console.warn(`Could not record URL scan for dedupe: ${error.message}`);
+  }
+}
+
+module.exports = {
+  canonicalizeImageUrl,
+  getUrlScanKeys,
+  findRecentUrlScan,
+  recordUrlScan,
+};
@@ -4,6 +4,8 @@ require('dotenv').config();
 const AWS = require('aws-sdk');
 const { wrapHandler } = require('./middleware/errorHandler');
 const crypto = require('crypto');
+const { getBalanceRecord, buildBalanceChange, isBalanceConflict } = require('./token-ledger');
+const { TOKEN_PACKS, creditTokenPack, getPurchaseByTransaction, getPurchaseIdForTransaction, recordPurchaseConfirmation, refundPurchase } = require('./token-purchases');
 
 // Configure AWS SDK
 const awsConfig = {
@@ -25,6 +27,12 @@ const cognito = new AWS.CognitoIdentityServiceProvider();
 const REVENUECAT_SECRET_KEY = process.env.REVENUECAT_SECRET_KEY || '';
 const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'image-analysis-dev-subscriptions';
 const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID || '';
+const WEBHOOK_EVENTS_TABLE = process.env.WEBHOOK_EVENTS_TABLE || 'image-analysis-dev-webhook-events';
+const WEBHOOK_MAX_EVENT_AGE_MS = (parseFloat(process.env.WEBHOOK_MAX_EVENT_AGE_HOURS) || 72) * 60 * 60 * 1000;
+// Events stamped slightly in the future are tolerated (clock differences)
+const WEBHOOK_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// A claim stuck in 'processing' this long belongs to a crashed invocation and may be retaken
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
 
 /**
  * Verify RevenueCat webhook signature
@@ -49,6 +57,101 @@ function verifyWebhookSignature(body, signature, secretKey) {
   }
 }
 
+/**
+ * Check that a webhook event is recent enough to process
+ * Anything outside the window is treated as a replay.
+ * @returns {Object} { valid, reason }
+ */
+function checkEventAge(event) {
+  const timestampMs = Number(event.event_timestamp_ms);
+  if (!Number.isFinite(timestampMs) || timestampMs <= 0) {
+    return { valid: false, reason: 'Missing or invalid event_timestamp_ms' };
+  }
+
+  const now = Date.now();
+  if (timestampMs < now - WEBHOOK_MAX_EVENT_AGE_MS) {
+    return { valid: false, reason: 'Event is older than the accepted window' };
+  }
+  if (timestampMs > now + WEBHOOK_CLOCK_SKEW_MS) {
+    return { valid: false, reason: 'Event timestamp is in the future' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Claim a webhook event for processing
+ * The conditional write only succeeds for an event ID that has not been seen,
+ * that failed previously, or whose earlier claim has gone stale.
+ * @returns {Promise<Object>} { claimed, status } - status of the existing record when not claimed
+ */
+async function claimWebhookEvent(event) {
+  const now = Date.now();
+
+  try {
+    await dynamodb.put({
+      TableName: WEBHOOK_EVENTS_TABLE,
+      Item: {
+        eventId: event.id,
+        eventType: event.type || null,
+        appUserId: extractUserId(event),
+        eventTimestampMs: Number(event.event_timestamp_ms),
+        status: 'processing',
+        claimedAt: now,
+        receivedAt: new Date(now).toISOString(),
+        // Keep the record at least as long as a replay could still pass the age check
+        expiresAt: Math.floor((now + WEBHOOK_MAX_EVENT_AGE_MS) / 1000) + 24 * 60 * 60,
+      },
+      ConditionExpression: 'attribute_not_exists(eventId) OR #status = :failed OR (#status = :processing AND claimedAt < :staleBefore)',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':failed': 'failed',
+        ':processing': 'processing',
+        ':staleBefore': now - WEBHOOK_PROCESSING_TIMEOUT_MS,
+      },
+    }).promise();
+
+    return { claimed: true, status: 'processing' };
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+
+    const existing = await dynamodb.get({
+      TableName: WEBHOOK_EVENTS_TABLE,
+      Key: { eventId: event.id },
+    }).promise();
+
+    return { claimed: false, status: existing.Item ? existing.Item.status : 'processed' };
+  }
+}
+
+/**
+ * Record the outcome of processing a claimed webhook event
+ */
+async function completeWebhookEvent(eventId, status, errorMessage = null) {
+  try {
+    await dynamodb.update({
+      TableName: WEBHOOK_EVENTS_TABLE,
+      Key: { eventId: eventId },
+      UpdateExpression: 'SET #status = :status, completedAt = :completedAt, errorMessage = :errorMessage',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':status': status,
+        ':completedAt': new Date().toISOString(),
+        ':errorMessage': errorMessage,
+      },
+    }).promise();
+  } catch (error) {
+    // The event itself was handled; a stale claim is retaken after the processing timeout
+    console.error(`Failed to mark webhook event ${eventId} as ${status}:`, error.message);
+  }
+}
+
 /**
  * Extract user ID from RevenueCat event
  * RevenueCat uses app_user_id which we'll link to Cognito user ID
@@ -59,10 +162,58 @@ function extractUserId(event) {
   return event.app_user_id || event.original_app_user_id || null;
 }
 
+/**
+ * Check if a RevenueCat app_user_id belongs to a signed-in (Cognito) user
+ */
+function isIdentifiedUser(appUserId) {
+  return !!appUserId && !appUserId.startsWith('$RCAnonymousID:');
+}
+
+/**
+ * Convert a RevenueCat millisecond timestamp to an ISO string
+ */
+function toIsoDate(timestampMs) {
+  return timestampMs ? new Date(Number(timestampMs)).toISOString() : null;
+}
+
+/**
+ * Mirror subscription state onto the user's Cognito attributes
+ * Non-fatal: DynamoDB remains the source of truth.
+ */
+async function updateCognitoSubscriptionAttributes(userId, tier, status) {
+  if (!USER_POOL_ID || !userId) {
+    return;
+  }
+
+  try {
+    await cognito.adminUpdateUserAttributes({
+      UserPoolId: USER_POOL_ID,
+      Username: userId,
+      UserAttributes: [
+        {
+          Name: 'custom:subscription_tier',
+          Value: tier,
+        },
+        {
+          Name: 'custom:subscription_status',
+          Value: status,
+        },
+      ],
+    }).promise();
+    console.log(`Updated Cognito attributes for user ${userId}`);
+  } catch (cognitoError) {
+    // Non-fatal error, log but continue
+    console.warn('Failed to update Cognito attributes:', cognitoError.message);
+  }
+}
+
 /**
  * Update subscription in DynamoDB
+ * @param {Object} event - RevenueCat event
+ * @param {Object} overrides - Fields that replace the entitlement-derived state
+ *                             (e.g. status 'paused' or 'refunded')
  */
-async function updateSubscription(event) {
+async function updateSubscription(event, overrides = {}) {
   const userId = extractUserId(event);
   if (!userId) {
     console.error('No user ID found in webhook event');
@@ -84,6 +235,7 @@ async function updateSubscription(event) {
     productId: productId,
     eventType: eventType,
     expiresAt: expiresAt,
+    ...overrides,
     updatedAt: new Date().toISOString(),
     // Store full event for debugging
     eventData: JSON.stringify(event),
@@ -95,35 +247,240 @@ async function updateSubscription(event) {
       Item: subscriptionData,
     }).promise();
 
-    console.log(`Subscription updated for user ${userId}: ${subscriptionStatus}`);
-
-    // Optionally update Cognito user attributes
-    if (USER_POOL_ID && userId) {
-      try {
-        await cognito.adminUpdateUserAttributes({
-          UserPoolId: USER_POOL_ID,
-          Username: userId,
-          UserAttributes: [
-            {
-              Name: 'custom:subscription_tier',
-              Value: isPro ? 'pro' : 'free',
-            },
-            {
-              Name: 'custom:subscription_status',
-              Value: subscriptionStatus,
-            },
-          ],
-        }).promise();
-        console.log(`Updated Cognito attributes for user ${userId}`);
-      } catch (cognitoError) {
-        // Non-fatal error, log but continue
-        console.warn('Failed to update Cognito attributes:', cognitoError.message);
-      }
-    }
+    console.log(`Subscription updated for user ${userId}: ${subscriptionData.status}`);
   } catch (error) {
     console.error('Error updating subscription in DynamoDB:', error);
     throw error;
   }
+
+  // Optionally update Cognito user attributes
+  await updateCognitoSubscriptionAttributes(userId, subscriptionData.tier, subscriptionData.status);
+}
+
+/**
+ * Move a user's whole token balance to another user
+ * Both balance changes and their ledger entries commit together, conditioned on
+ * the balances read, so a scan spending tokens concurrently makes the transfer
+ * retry instead of creating tokens.
+ * @returns {Promise<number>} Tokens moved
+ */
+async function moveTokenBalance(fromUserId, toUserId, event, attempt = 1) {
+  const from = await getBalanceRecord(fromUserId);
+  if (from.balance <= 0) {
+    return 0;
+  }
+  const to = await getBalanceRecord(toUserId);
+
+  const context = {
+    source: 'webhook',
+    metadata: { fromUserId: fromUserId, toUserId: toUserId, revenueCatEventId: event.id || null },
+  };
+  const debit = buildBalanceChange(fromUserId, from, -from.balance, { ...context, reason: 'transfer_out' });
+  const credit = buildBalanceChange(toUserId, to, from.balance, { ...context, reason: 'transfer_in' });
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [...debit.transactItems, ...credit.transactItems],
+    }).promise();
+  } catch (error) {
+    // Items 0 and 2 are the two balance updates
+    if (isBalanceConflict(error, [0, 2]) && attempt < 3) {
+      console.warn(`Token balance changed during transfer from ${fromUserId}, retrying`);
+      return moveTokenBalance(fromUserId, toUserId, event, attempt + 1);
+    }
+    throw error;
+  }
+
+  console.log(`Moved ${from.balance} tokens from user ${fromUserId} to user ${toUserId}`);
+  return from.balance;
+}
+
+/**
+ * Move the subscription record from one user to another
+ * The old owner keeps a 'transferred' record pointing at the new owner.
+ */
+async function moveSubscription(fromUserId, toUserId, event) {
+  const result = await dynamodb.get({
+    TableName: SUBSCRIPTIONS_TABLE,
+    Key: { userId: fromUserId },
+  }).promise();
+
+  if (!result.Item) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  // Drop any pointer left from an earlier transfer away from this record
+  const { transferredTo, ...subscription } = result.Item;
+
+  await dynamodb.put({
+    TableName: SUBSCRIPTIONS_TABLE,
+    Item: {
+      ...subscription,
+      userId: toUserId,
+      eventType: event.type,
+      transferredFrom: fromUserId,
+      updatedAt: now,
+      eventData: JSON.stringify(event),
+    },
+  }).promise();
+
+  await dynamodb.put({
+    TableName: SUBSCRIPTIONS_TABLE,
+    Item: {
+      userId: fromUserId,
+      status: 'transferred',
+      tier: 'free',
+      productId: result.Item.productId || '',
+      eventType: event.type,
+      expiresAt: null,
+      transferredTo: toUserId,
+      updatedAt: now,
+      eventData: JSON.stringify(event),
+    },
+  }).promise();
+
+  await updateCognitoSubscriptionAttributes(toUserId, result.Item.tier || 'free', result.Item.status || 'inactive');
+  await updateCognitoSubscriptionAttributes(fromUserId, 'free', 'transferred');
+
+  console.log(`Moved subscription from user ${fromUserId} to user ${toUserId}`);
+}
+
+/**
+ * Handle a TRANSFER event
+ * RevenueCat moved the purchases of transferred_from to transferred_to (e.g. a
+ * restore on another account), so the token balance and subscription follow.
+ */
+async function transferSubscriber(event) {
+  const fromUserIds = (event.transferred_from || []).filter(isIdentifiedUser);
+  const toUserId = (event.transferred_to || []).find(isIdentifiedUser);
+
+  if (!toUserId || fromUserIds.length === 0) {
+    // Transfers from or to anonymous RevenueCat users carry no server-side state
+    console.log(`TRANSFER has no identified users on both sides (${JSON.stringify(event.transferred_from)} -> ${JSON.stringify(event.transferred_to)}), nothing to move`);
+    return;
+  }
+
+  for (const fromUserId of fromUserIds) {
+    if (fromUserId === toUserId) {
+      continue;
+    }
+    await moveTokenBalance(fromUserId, toUserId, event);
+    await moveSubscription(fromUserId, toUserId, event);
+  }
+}
+
+/**
+ * Handle a CANCELLATION event
+ * cancel_reason CUSTOMER_SUPPORT means the store refunded the purchase, which
+ * revokes access immediately; every other reason keeps access until expiry.
+ */
+async function handleCancellation(event) {
+  const cancelReason = event.cancel_reason || 'UNKNOWN';
+
+  if (TOKEN_PACKS[event.product_id]) {
+    // Consumables have no subscription record to cancel; a refund claws the tokens back
+    if (cancelReason !== 'CUSTOMER_SUPPORT' || !event.transaction_id) {
+      console.log(`CANCELLATION (${cancelReason}) for token pack ${event.product_id}, transaction ${event.transaction_id}, nothing to claw back`);
+      return;
+    }
+
+    try {
+      const refund = await refundPurchase(getPurchaseIdForTransaction(event.transaction_id), {
+        source: 'webhook',
+        reason: cancelReason,
+        revenueCatEventId: event.id || null,
+      });
+      if (refund.alreadyRefunded) {
+        console.log(`Transaction ${event.transaction_id} was already refunded`);
+      }
+    } catch (error) {
+      if (error.message !== 'Purchase not found') {
+        throw error;
+      }
+      // Never credited (e.g. bought while anonymous), so there is nothing to take back
+      console.warn(`Refund for transaction ${event.transaction_id} has no credited purchase`);
+    }
+    return;
+  }
+
+  if (cancelReason === 'CUSTOMER_SUPPORT') {
+    await updateSubscription(event, {
+      status: 'refunded',
+      tier: 'free',
+      expiresAt: null,
+      cancelReason: cancelReason,
+      refundedAt: toIsoDate(event.event_timestamp_ms) || new Date().toISOString(),
+    });
+    return;
+  }
+
+  await updateSubscription(event, { cancelReason: cancelReason });
+}
+
+/**
+ * Credit a consumable token pack from a NON_RENEWING_PURCHASE event
+ * The webhook is the authoritative credit path. It shares the transaction-keyed
+ * purchase record with /subscription/purchase, so whichever of the two arrives
+ * first credits the pack and the other only records its confirmation.
+ */
+async function creditConsumablePurchase(event) {
+  const userId = extractUserId(event);
+  const productId = event.product_id || '';
+  const transactionId = event.transaction_id || null;
+
+  if (!TOKEN_PACKS[productId]) {
+    // Not a token pack - keep the previous behaviour for other one-time products
+    console.log(`NON_RENEWING_PURCHASE for non-token product ${productId}, updating subscription record`);
+    await updateSubscription(event);
+    return;
+  }
+
+  if (!isIdentifiedUser(userId)) {
+    // Tokens are held per Cognito user; the client credits once the user is identified
+    console.warn(`Token pack ${productId} bought by unidentified user ${userId}, not crediting from webhook`);
+    return;
+  }
+
+  if (!transactionId) {
+    console.error(`Token pack ${productId} webhook for user ${userId} has no transaction_id, not crediting`);
+    return;
+  }
+
+  const verification = {
+    valid: true,
+    status: 'verified',
+    reason: null,
+    provider: 'revenuecat_webhook',
+    productId: productId,
+    transactionId: transactionId,
+    revenueCatEventId: event.id || null,
+    store: event.store || null,
+    isSandbox: event.environment === 'SANDBOX',
+    storePurchaseDate: toIsoDate(event.purchased_at_ms),
+    verifiedAt: new Date().toISOString(),
+  };
+
+  try {
+    const { tokenBalance } = await creditTokenPack(userId, productId, {
+      transactionId: transactionId,
+      verification: verification,
+      source: 'webhook',
+    });
+    console.log(`Token pack ${productId} credited from webhook for user ${userId}, balance ${tokenBalance}`);
+  } catch (error) {
+    if (error.message !== 'Transaction already consumed') {
+      throw error;
+    }
+
+    // Already credited by the client (or an earlier delivery of this event)
+    const existing = await getPurchaseByTransaction(transactionId);
+    if (existing && existing.userId !== userId) {
+      console.warn(`⚠️ Transaction ${transactionId} was credited to user ${existing.userId}, webhook names ${userId}`);
+    }
+    await recordPurchaseConfirmation(transactionId, 'webhook', { revenueCatEventId: event.id || null });
+    console.log(`Transaction ${transactionId} already credited, recorded webhook confirmation`);
+  }
 }
 
 /**
@@ -143,8 +500,8 @@ async function handleWebhookEvent(event) {
       break;
 
     case 'CANCELLATION':
-      // User cancelled but still has access until expiration
-      await updateSubscription(event);
+      // User cancelled but still has access until expiration, unless refunded
+      await handleCancellation(event);
       break;
 
     case 'EXPIRATION':
@@ -158,8 +515,53 @@ async function handleWebhookEvent(event) {
       break;
 
     case 'NON_RENEWING_PURCHASE':
-      // One-time purchase (if you add this later)
-      await updateSubscription(event);
+      // One-time purchase - token packs are credited here
+      await creditConsumablePurchase(event);
+      break;
+
+    case 'PRODUCT_CHANGE':
+      // Upgrade/downgrade; new_product_id takes effect now or at next renewal
+      await updateSubscription(event, {
+        productId: event.new_product_id || event.product_id || '',
+        previousProductId: event.product_id || null,
+      });
+      break;
+
+    case 'TRANSFER':
+      // Purchases moved to another app_user_id
+      await transferSubscriber(event);
+      break;
+
+    case 'SUBSCRIPTION_PAUSED':
+      // Play Store pause: access continues until expiration, then resumes later
+      await updateSubscription(event, {
+        status: 'paused',
+        autoResumeAt: toIsoDate(event.auto_resume_at_ms),
+      });
+      break;
+
+    case 'SUBSCRIPTION_EXTENDED':
+      // Expiration pushed back (e.g. store compensation or promotional extension)
+      await updateSubscription(event, {
+        status: 'active',
+        tier: 'pro',
+        expiresAt: toIsoDate(event.expiration_at_ms),
+      });
+      break;
+
+    case 'TEMPORARY_ENTITLEMENT_GRANT':
+      // RevenueCat grants short access while the store cannot validate a purchase
+      await updateSubscription(event, {
+        status: 'active',
+        tier: 'pro',
+        expiresAt: toIsoDate(event.expiration_at_ms),
+        temporaryEntitlement: true,
+      });
+      break;
+
+    case 'TEST':
+      // Sent from the RevenueCat dashboard to check the integration
+      console.log(`Received RevenueCat test event ${event.id}`);
       break;
 
     default:
@@ -224,8 +626,59 @@ const handler = async (event) => {
       };
     }
 
+    if (!webhookEvent || !webhookEvent.id) {
+      console.error('Webhook event has no event id');
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing event id' }),
+      };
+    }
+
+    // Reject replays of old deliveries
+    const ageCheck = checkEventAge(webhookEvent);
+    if (!ageCheck.valid) {
+      console.warn(`Rejecting webhook event ${webhookEvent.id}: ${ageCheck.reason}`);
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: ageCheck.reason }),
+      };
+    }
+
+    // Process each RevenueCat event at most once
+    const claim = await claimWebhookEvent(webhookEvent);
+    if (!claim.claimed) {
+      if (claim.status === 'processing') {
+        // Another delivery is still being handled; let RevenueCat retry in case it fails
+        console.log(`Webhook event ${webhookEvent.id} is already being processed`);
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Event is already being processed' }),
+        };
+      }
+
+      console.log(`Duplicate webhook event ${webhookEvent.id}, already processed`);
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Access-Control-Allow-Origin': '*',
+        },
+        body: JSON.stringify({ success: true, duplicate: true, message: 'Event already processed' }),
+      };
+    }
+
     // Process the webhook event
-    await handleWebhookEvent(webhookEvent);
+    try {
+      await handleWebhookEvent(webhookEvent);
+    } catch (processingError) {
+      await completeWebhookEvent(webhookEvent.id, 'failed', processingError.message);
+      throw processingError;
+    }
+
+    await completeWebhookEvent(webhookEvent.id, 'processed');
 
     return {
       statusCode: 200,